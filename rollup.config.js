@@ -11,5 +11,5 @@ export default {
     sourcemap: true,
   },
   plugins: [resolve(), commonjs(), terser()],
-  external: ['ws', 'uuid'],
+  external: ['ws', 'uuid', '@msgpack/msgpack'],
 };
@@ -1,12 +1,648 @@
 import { EventEmitter } from 'events';
 
-export class BrokerError extends Error {}
+export interface BrokerErrorParams {
+  code?: string;
+  details?: any;
+  moduleName?: string;
+  remoteStack?: string;
+  cause?: Error;
+}
+
+export interface SerializedBrokerError {
+  error: string;
+  code?: string;
+  details?: any;
+  moduleName?: string;
+  stack?: string;
+  cause?: SerializedBrokerError;
+}
+
+export class BrokerError extends Error {
+  constructor(message?: string, params?: BrokerErrorParams);
+  code: string;
+  details?: any;
+  moduleName?: string;
+  remoteStack?: string;
+  cause?: Error;
+  toJSON(options?: { includeStack?: boolean }): SerializedBrokerError;
+  static fromJSON(json: SerializedBrokerError, defaults?: Partial<SerializedBrokerError>): BrokerError;
+}
+
+export class BrokerTimeoutError extends BrokerError {
+  constructor(message: string, params: { messageType: string; targetModuleName?: string; elapsed: number });
+  code: 'TIMEOUT';
+  messageType: string;
+  targetModuleName?: string;
+  elapsed: number;
+}
+
+/** Passed after the arguments of the call to the API handlers registered with the `requestContext` option. */
+export interface RequestContext {
+  caller: { moduleName: string };
+  /** Aborted when the caller cancels the request. */
+  signal: AbortSignal;
+  /** Sends a progress report to the caller. */
+  progress: (...progress: any[]) => void;
+  [key: string]: any;
+}
+
+export interface AncillaryData {
+  caller?: { moduleName: string };
+  /** Aborted when the caller cancels the request. */
+  signal?: AbortSignal;
+  /** Sends a progress report to the caller. */
+  progress?: (...progress: any[]) => void;
+  [key: string]: any;
+}
+
+export class RawRequest<TArgs extends any[] = any[], TResult = any> {
+  callback?: (...args: TArgs) => TResult;
+  ancillaryData?: AncillaryData;
+  setCallback(callback: (...args: TArgs) => TResult): void;
+  setAncillaryData(ancillaryData: AncillaryData): void;
+  getAncillaryData(): AncillaryData;
+  call(...args: TArgs): TResult | undefined;
+}
+
+export interface Engine {
+  id: number;
+  ip: string;
+  port: number;
+  name: string;
+  ready: boolean;
+  status: string;
+  /** An empty string if there is no UE5 node. */
+  fps: string;
+  engineType: string;
+}
+
+export interface NodeFunction {
+  [key: string]: any;
+}
+
+export interface Node {
+  Functions?: { [functionPath: string]: NodeFunction };
+  [key: string]: any;
+}
+
+/** Nodes keyed by their `NodePath` (without the leading `/`). */
+export interface NodeTree {
+  [nodePath: string]: Node;
+}
+
+export interface NodePropertyParams {
+  NodePath: string;
+  PropertyPath: string;
+}
+
+export interface SetNodePropertyParams extends NodePropertyParams {
+  Value: any;
+}
+
+export interface NodePropertyValue extends NodePropertyParams {
+  Value: any;
+  [key: string]: any;
+}
+
+export type InterpType = 'Jump' | 'Linear' | 'EaseIn' | 'EaseOut' | 'EaseInOut';
+
+export interface InterpolateParams extends NodePropertyParams {
+  /** Defaults to the current value. */
+  StartValue?: any;
+  EndValue: any;
+  /** Milliseconds, defaults to `0`. */
+  Duration?: number;
+  /** Milliseconds, defaults to `0`. */
+  Delay?: number;
+  /** Defaults to `'Jump'`. */
+  InterpType?: InterpType;
+}
+
+export interface CallNodeFunctionParams {
+  NodePath: string;
+  FunctionPath: string;
+  [key: string]: any;
+}
+
+export interface RegisterProxyURLParams {
+  moduleName: string;
+  serverURL: string;
+  clientModuleName?: string;
+  menuTitle?: string;
+}
+
+export interface HubCoreMethods {
+  registerProxyURL(params: RegisterProxyURLParams): any;
+  ping(): any;
+}
+
+/** Reality 5 (API v1.2+) world methods. `engineIds` defaults to all of the engines. */
+export interface Reality5_1_2WorldMethods {
+  listEngines(): Engine[];
+  getNodes(engineId: number): NodeTree;
+  callNodeFunction(params: CallNodeFunctionParams, engineIds?: number[]): any;
+  setNodeProperty(params: SetNodePropertyParams, engineIds?: number[]): any;
+  getNodeProperty(params: NodePropertyParams, engineIds?: number[]): NodePropertyValue[];
+  interpolate(params: InterpolateParams, engineIds?: number[]): any;
+}
+
+export interface RealityWorldOptions {
+  /** Module implementing the world API. Defaults to `'hub.reality5_1_2_world'`. */
+  moduleName?: string;
+  callTimeout?: number;
+}
+
+export class RealityWorld {
+  /** Only the `api` tree of `brokerClient` is used, so a mock with the same shape can be passed in tests. */
+  constructor(brokerClient: BrokerBase | { api: any }, options?: RealityWorldOptions);
+  brokerClient: BrokerBase | { api: any };
+  moduleName: string;
+  callTimeout?: number;
+  propertyWatchers: Map<string, { close(): void }>;
+  getWorldAPI(): ModuleProxy<Reality5_1_2WorldMethods>;
+  engines(): Promise<Engine[]>;
+  engine(engineId: number): RealityEngine<true>;
+  engine(engineIds: number[]): RealityEngine<false>;
+  allEngines(): RealityEngine<false>;
+  watchProperty(params: NodePropertyParams, engineId: number, options?: WatchOptions): PropertySubscription<any>;
+  watchProperty(params: NodePropertyParams, engineIds?: number[], options?: WatchOptions): PropertySubscription<any[]>;
+  unwatchAll(): void;
+}
+
+export interface WatchOptions {
+  /** Milliseconds between the polls. Defaults to `1000`. */
+  interval?: number;
+  /** Minimum milliseconds between `change` events. Defaults to `0`. */
+  throttle?: number;
+}
+
+export interface PropertySubscriptionEvents<T> {
+  change: [value: T, previousValue: T | undefined];
+  pollerror: [error: Error];
+  unsubscribe: [];
+}
+
+export class PropertySubscription<T = any> extends EventEmitter {
+  interval: number;
+  throttle: number;
+  closed: boolean;
+  /** The last known value. */
+  readonly value: T | undefined;
+  unsubscribe(): void;
+  on<K extends keyof PropertySubscriptionEvents<T>>(
+    eventName: K,
+    listener: (...args: PropertySubscriptionEvents<T>[K]) => void
+  ): this;
+  once<K extends keyof PropertySubscriptionEvents<T>>(
+    eventName: K,
+    listener: (...args: PropertySubscriptionEvents<T>[K]) => void
+  ): this;
+  off<K extends keyof PropertySubscriptionEvents<T>>(
+    eventName: K,
+    listener: (...args: PropertySubscriptionEvents<T>[K]) => void
+  ): this;
+}
+
+/** One engine if `TSingle` is `true`, a group of engines otherwise. */
+export class RealityEngine<TSingle extends boolean = boolean> {
+  constructor(world: RealityWorld, engineIds?: number | number[]);
+  world: RealityWorld;
+  isSingle: TSingle;
+  /** `undefined` for all of the engines. */
+  engineIds?: number[];
+  readonly id: TSingle extends true ? number : undefined;
+  send(methodName: keyof Reality5_1_2WorldMethods, params: any): Promise<any>;
+  node(nodePath: string): RealityNode<TSingle>;
+  nodes(): Promise<NodeTree>;
+}
+
+export class RealityNode<TSingle extends boolean = boolean> {
+  constructor(engine: RealityEngine<TSingle>, nodePath: string);
+  engine: RealityEngine<TSingle>;
+  /** Normalized node path with the leading `/`. */
+  path: string;
+  property(propertyPath: string): RealityProperty<TSingle>;
+  call(functionPath: string, params?: { [key: string]: any }): Promise<any>;
+  describe(): Promise<Node | undefined>;
+}
+
+export interface InterpolateOptions {
+  startValue?: any;
+  duration?: number;
+  delay?: number;
+  interpType?: InterpType;
+}
+
+export class RealityProperty<TSingle extends boolean = boolean> {
+  constructor(node: RealityNode<TSingle>, propertyPath: string);
+  node: RealityNode<TSingle>;
+  path: string;
+  set(value: any): Promise<any>;
+  /** The value for a single engine, the values on each engine for a group. */
+  get(): Promise<TSingle extends true ? any : any[]>;
+  interpolate(endValue: any, options?: InterpolateOptions): Promise<any>;
+  watch(options?: WatchOptions): PropertySubscription<TSingle extends true ? any : any[]>;
+}
+
+export interface RealityCacheOptions {
+  /** Milliseconds between the refreshes, `0` disables polling. Defaults to `5000`. */
+  interval?: number;
+  /** Fully qualified Hub events (`vendor.module.eventName`) that trigger a refresh. */
+  refreshEvents?: string[];
+  /** Engine fields that don't trigger `enginechanged`. Defaults to `['fps']`. */
+  ignoredEngineKeys?: string[];
+}
+
+export interface RealityCacheEvents {
+  engineadded: [engine: Engine];
+  engineremoved: [engine: Engine];
+  enginechanged: [engine: Engine, previousEngine: Engine, changedKeys: string[]];
+  nodeadded: [engineId: number, nodePath: string, node: Node];
+  noderemoved: [engineId: number, nodePath: string, node: Node];
+  refresherror: [error: Error];
+}
+
+export class RealityCache extends EventEmitter {
+  constructor(world: RealityWorld, options?: RealityCacheOptions);
+  world: RealityWorld;
+  options: Required<RealityCacheOptions>;
+  engines: Map<number, Engine>;
+  nodeTrees: Map<number, NodeTree | null>;
+  started: boolean;
+  start(): Promise<void>;
+  stop(): void;
+  getEngines(): Engine[];
+  getEngine(engineId: number): Engine | undefined;
+  nodes(engineId: number): Promise<NodeTree>;
+  forgetNodes(engineId: number): void;
+  refresh(): Promise<void>;
+  on<K extends keyof RealityCacheEvents>(eventName: K, listener: (...args: RealityCacheEvents[K]) => void): this;
+  once<K extends keyof RealityCacheEvents>(eventName: K, listener: (...args: RealityCacheEvents[K]) => void): this;
+  off<K extends keyof RealityCacheEvents>(eventName: K, listener: (...args: RealityCacheEvents[K]) => void): this;
+}
+
+export interface TimelineTarget {
+  NodePath: string;
+  PropertyPath: string;
+  /** Defaults to all of the engines. */
+  engineIds?: number | number[];
+}
+
+export interface Keyframe {
+  /** Milliseconds from the start of the step. */
+  time: number;
+  value: any;
+  /** Curve leading to this keyframe. Defaults to `'Linear'`. */
+  interpType?: InterpType;
+}
+
+export type TimelineStep =
+  | { type: 'serial'; steps: TimelineStep[] }
+  | { type: 'parallel'; steps: TimelineStep[] }
+  | { type: 'delay'; duration: number }
+  | { type: 'cue'; name: string }
+  | { type: 'set'; target: TimelineTarget; value: any }
+  | { type: 'interpolate'; target: TimelineTarget; from?: any; to: any; duration: number; interpType: InterpType }
+  | { type: 'keyframes'; target: TimelineTarget; keyframes: Keyframe[] };
+
+export interface TimelineJSON {
+  version: 1;
+  root: TimelineStep;
+}
+
+export type TimelineState = 'idle' | 'playing' | 'paused' | 'finished' | 'cancelled';
+
+export interface TimelineEvents {
+  play: [position: number];
+  pause: [position: number];
+  seek: [position: number];
+  cue: [name: string, time: number];
+  finish: [];
+  cancel: [];
+  commanderror: [error: Error, action: any];
+}
+
+export class Timeline extends EventEmitter {
+  constructor(world: RealityWorld, root?: TimelineStep);
+  world: RealityWorld;
+  root: TimelineStep;
+  state: TimelineState;
+  position: number;
+  readonly duration: number;
+  readonly cues: { name: string; time: number }[];
+
+  static serial(...steps: TimelineStep[]): TimelineStep;
+  static parallel(...steps: TimelineStep[]): TimelineStep;
+  static delay(duration: number): TimelineStep;
+  static cue(name: string): TimelineStep;
+  static set(target: TimelineTarget, value: any): TimelineStep;
+  static interpolate(
+    target: TimelineTarget,
+    to: any,
+    options?: { from?: any; duration?: number; interpType?: InterpType }
+  ): TimelineStep;
+  static keyframes(target: TimelineTarget, keyframes: Keyframe[]): TimelineStep;
+  static fromJSON(world: RealityWorld, json: string | TimelineJSON): Timeline;
 
-export class RawRequest {
-  setCallback(callback: Function): void;
-  setAncillaryData(ancillaryData: any): void;
-  getAncillaryData(): any;
-  call(...args: any[]): any;
+  toJSON(): TimelineJSON;
+  getPosition(): number;
+  play(): Promise<'finished' | 'paused' | 'cancelled'>;
+  pause(): void;
+  seek(positionOrCue: number | string): void;
+  cancel(): void;
+  on<K extends keyof TimelineEvents>(eventName: K, listener: (...args: TimelineEvents[K]) => void): this;
+  once<K extends keyof TimelineEvents>(eventName: K, listener: (...args: TimelineEvents[K]) => void): this;
+  off<K extends keyof TimelineEvents>(eventName: K, listener: (...args: TimelineEvents[K]) => void): this;
+}
+
+/** Methods of a module keyed by method name. Handlers may return a value, a promise or an async iterable. */
+export type MethodMap = { [method: string]: (...args: any[]) => any };
+
+/** Events of a module keyed by event name. The values are the arguments of the event. */
+export type EventMap = { [eventName: string]: any[] };
+
+/**
+ * Methods of the modules keyed by `vendor.module`. Add your own modules with declaration merging:
+ *
+ * ```ts
+ * declare module '@zerodensity/realityhub-api' {
+ *   interface ModuleMethods {
+ *     'exampleCompany.exampleModule': { listAssets(folder: string): Promise<Asset[]> };
+ *   }
+ * }
+ * ```
+ */
+export interface ModuleMethods {
+  'hub.core': HubCoreMethods;
+  'hub.reality5_1_2_world': Reality5_1_2WorldMethods;
+}
+
+/** Events of the modules keyed by `vendor.module`. Extended the same way as `ModuleMethods`. */
+export interface ModuleEvents {}
+
+type ResultOf<R> = Awaited<R> extends AsyncIterable<infer T> ? T[] : Awaited<R>;
+type ChunkOf<R> = Awaited<R> extends AsyncIterable<infer T> ? T : Awaited<R>;
+
+type MethodsOf<K> = K extends keyof ModuleMethods ? ModuleMethods[K] : {};
+type EventsOf<K> = K extends keyof ModuleEvents ? ModuleEvents[K] : EventMap;
+
+type KnownModule = (keyof ModuleMethods | keyof ModuleEvents) & string;
+type VendorOf<K> = K extends `${infer V}.${string}` ? V : never;
+
+/** An event name with wildcard segments, e.g. `engine.*` or `**`. */
+export type EventPattern = `${string}*${string}`;
+
+export interface EventPatternSet {
+  size: number;
+  add(pattern: string): boolean;
+  delete(pattern: string): boolean;
+  match(eventName: string): string[];
+}
+
+export interface EventStreamOptions {
+  /** Maximum number of events waiting to be consumed. Defaults to 100. */
+  bufferSize?: number;
+  /** What to do with an event that doesn't fit in the buffer. Defaults to `dropOldest`. */
+  overflow?: 'dropOldest' | 'dropNewest' | 'error';
+  signal?: AbortSignal;
+}
+
+export interface EventStream<T extends any[] = any[]> extends AsyncIterable<T> {
+  eventName: string;
+  bufferSize: number;
+  overflow: 'dropOldest' | 'dropNewest' | 'error';
+  /** Number of events dropped because the buffer was full. */
+  dropped: number;
+  done: boolean;
+}
+
+export interface NextEventOptions<T extends any[] = any[]> {
+  /** Milliseconds to wait. `0` waits without a time limit. Defaults to `0`. */
+  timeout?: number;
+  /** Events it returns a falsy value for are skipped. */
+  filter?: (...args: T) => any;
+  signal?: AbortSignal;
+}
+
+export interface AcknowledgeOptions {
+  /** Milliseconds to collect the acknowledgements for. Defaults to the timeout of the proxy. */
+  timeout?: number;
+  /** Modules expected to acknowledge the event. `emit` resolves as soon as all of them have answered. */
+  expect?: string[];
+}
+
+export interface EventAcknowledgements {
+  /** Modules whose handlers have succeeded. */
+  handled: string[];
+  /** Modules whose handlers have failed, and the expected modules that haven't answered in time. */
+  failed: { moduleName: string; error: BrokerError }[];
+}
+
+export interface AcknowledgedEmitter<TEvents = EventMap> {
+  emit<K extends keyof TEvents & string>(eventName: K, ...args: TEvents[K] & any[]): Promise<EventAcknowledgements>;
+  callTimeout(timeout: number): AcknowledgedEmitter<TEvents>;
+  excludeClients(clients: string[]): AcknowledgedEmitter<TEvents>;
+  $offline(policy: OfflinePolicy): AcknowledgedEmitter<TEvents>;
+  $signal(signal: AbortSignal): AcknowledgedEmitter<TEvents>;
+}
+
+export interface ModuleProxyChain<TMethods, TEvents, TProxy> {
+  emit<K extends keyof TEvents & string>(eventName: K, ...args: TEvents[K] & any[]): void;
+  /** Patterns (`*` matches one segment, `**` any number of segments) pass the event name to the handler first. */
+  on(pattern: EventPattern, handler: (eventName: string, ...args: any[]) => void): void;
+  on<K extends keyof TEvents & string>(eventName: K, handler: (...args: TEvents[K] & any[]) => void): void;
+  off(pattern: EventPattern, handler?: (eventName: string, ...args: any[]) => void): void;
+  off<K extends keyof TEvents & string>(eventName: K, handler?: (...args: TEvents[K] & any[]) => void): void;
+  once(pattern: EventPattern, handler: (eventName: string, ...args: any[]) => void): void;
+  once<K extends keyof TEvents & string>(eventName: K, handler: (...args: TEvents[K] & any[]) => void): void;
+  /** Iterates the events. Each value is the array of arguments an `on` handler would receive. */
+  $events(pattern: EventPattern, options?: EventStreamOptions): EventStream<[string, ...any[]]>;
+  $events<K extends keyof TEvents & string>(eventName: K, options?: EventStreamOptions): EventStream<TEvents[K] & any[]>;
+  /** Resolves with the arguments of the next event. */
+  $next(pattern: EventPattern, options?: NextEventOptions<[string, ...any[]]>): Promise<[string, ...any[]]>;
+  $next<K extends keyof TEvents & string>(
+    eventName: K,
+    options?: NextEventOptions<TEvents[K] & any[]>
+  ): Promise<TEvents[K] & any[]>;
+  callTimeout(timeout: number): TProxy;
+  excludeClients(clients: string[]): TProxy;
+  $offline(policy: OfflinePolicy): TProxy;
+  $signal(signal: AbortSignal): TProxy;
+  $retry(options?: RetryOptions): TProxy;
+  $onProgress(callback: (...progress: any[]) => void): TProxy;
+  /** Makes `emit` wait for the subscribers to acknowledge the event. */
+  $acknowledge(options?: AcknowledgeOptions): AcknowledgedEmitter<TEvents>;
+  $batch(options?: BatchOptions): BatchModuleProxy<TMethods>;
+}
+
+export interface BatchOptions {
+  /** Skips the rest of the calls to a module after a failure and rejects `send()` with `BATCH_FAILED`. */
+  atomic?: boolean;
+}
+
+export type BatchResult<T = any> = { success: true; data: T } | { success: false; error: BrokerError | Error };
+
+export class Batch {
+  constructor(
+    broker: BrokerBase,
+    options?: BatchOptions & {
+      timeout?: number;
+      excludedClients?: string[];
+      offline?: OfflinePolicy;
+      signal?: AbortSignal;
+    }
+  );
+  broker: BrokerBase;
+  atomic: boolean;
+  calls: { type: string; args: any[] }[];
+  sent: boolean;
+  readonly size: number;
+  /** Adds calls to any module: `batch.api.vendor.module.method(...args)`. */
+  api: { [vendor: string]: { [module: string]: BatchModuleProxy } };
+  module(vendorName: string, moduleName: string): BatchModuleProxy;
+  add(type: string, args?: any[]): this;
+  send(): Promise<BatchResult[]>;
+}
+
+/** Adds calls to a module. Each call returns the proxy, so the calls can be chained. */
+export type BatchModuleProxy<TMethods = {}> = Batch & {
+  [K in keyof TMethods]: TMethods[K] extends (...args: infer A) => any ? (...args: A) => BatchModuleProxy<TMethods> : never;
+} & {
+  [method: string]: (...args: any[]) => BatchModuleProxy<TMethods>;
+};
+
+/** Calls the methods of a module. Methods that are not in `TMethods` can be called untyped. */
+export type ModuleProxy<TMethods = {}, TEvents = EventMap> = ModuleProxyChain<
+  TMethods,
+  TEvents,
+  ModuleProxy<TMethods, TEvents>
+> & {
+  $stream(options?: { window?: number }): StreamingModuleProxy<TMethods, TEvents>;
+} & {
+  [K in keyof TMethods]: TMethods[K] extends (...args: infer A) => infer R ? (...args: A) => Promise<ResultOf<R>> : never;
+} & {
+  [method: string]: (...args: any[]) => Promise<any>;
+};
+
+/** A module proxy whose methods stream their results. */
+export type StreamingModuleProxy<TMethods = {}, TEvents = EventMap> = ModuleProxyChain<
+  TMethods,
+  TEvents,
+  StreamingModuleProxy<TMethods, TEvents>
+> & {
+  [K in keyof TMethods]: TMethods[K] extends (...args: infer A) => infer R ? (...args: A) => AsyncIterable<ChunkOf<R>> : never;
+} & {
+  [method: string]: (...args: any[]) => AsyncIterable<any>;
+};
+
+/** The `api` proxy tree: `api.vendor.module.method(...args)`. */
+export type Api = {
+  [V in VendorOf<KnownModule>]: {
+    [K in KnownModule as K extends `${V}.${infer M}` ? M : never]: ModuleProxy<MethodsOf<K>, EventsOf<K>>;
+  } & { [module: string]: ModuleProxy };
+} & {
+  [vendor: string]: { [module: string]: ModuleProxy };
+};
+
+export interface ReconnectPolicy {
+  enabled: boolean;
+  options: Required<ReconnectOptions>;
+  attempt: number;
+  next(): { attempt: number; delay: number } | null;
+  reset(): void;
+}
+
+/** A JSON Schema. See `registerAPIHandler()` for the supported keywords. */
+export type JSONSchema = boolean | { [keyword: string]: any };
+
+export interface APIHandlerSchema {
+  /** A schema for each argument, or a schema for the whole argument list. */
+  params?: JSONSchema[] | JSONSchema;
+  /** Schema of the return value. Only used for introspection. */
+  returns?: JSONSchema;
+}
+
+export interface APIEventSchema {
+  /** A schema for each argument of the event, or a schema for the whole argument list. */
+  params?: JSONSchema[] | JSONSchema;
+}
+
+export interface APIHandlerOptions {
+  /** Passes the request context to the handler after the arguments of the call. */
+  requestContext?: boolean;
+}
+
+export interface APIHandlerEntry {
+  messageHandler: Function;
+  relay: boolean;
+  schema: APIHandlerSchema | null;
+  requestContext: boolean;
+}
+
+/** The answer of a module's built-in `describe` method. */
+export interface ModuleDescription {
+  moduleName: string;
+  /** Schemas of the registered methods keyed by method name. */
+  methods: { [methodName: string]: APIHandlerSchema };
+  builtInMethods: string[];
+  /** Names of the events the module has declared, followed by the other events it has emitted. */
+  events: string[];
+  /** Schemas of the declared events keyed by event name. */
+  eventSchemas: { [eventName: string]: APIEventSchema };
+  /** Fully qualified names of the events the module listens to. */
+  subscriptions: string[];
+}
+
+export interface DiscoveredModule {
+  moduleName: string;
+  /** `null` if the module couldn't describe itself. */
+  description: ModuleDescription | null;
+  error?: Error;
+}
+
+export interface ModulePresenceEntry {
+  moduleName: string;
+  /** Time the module was announced by the server or found online. */
+  connectedAt: number;
+}
+
+export interface WaitForModuleOptions {
+  /** Milliseconds to wait. `0` waits without a time limit. Defaults to 60000. */
+  timeout?: number;
+  /** Milliseconds between asking the module whether it's online. Defaults to 1000. */
+  probeInterval?: number;
+  signal?: AbortSignal;
+}
+
+export interface ModulePresence extends EventEmitter {
+  modules: Map<string, ModulePresenceEntry>;
+  add(moduleName: string, connectedAt?: number): boolean;
+  remove(moduleName: string): boolean;
+  has(moduleName: string): boolean;
+  get(moduleName: string): ModulePresenceEntry | undefined;
+  list(): ModulePresenceEntry[];
+  clear(): void;
+}
+
+export type MiddlewareHook = 'outgoingRequest' | 'incomingResponse' | 'incomingRequest' | 'outgoingResponse';
+
+export interface MiddlewareContext {
+  /** The request. Middleware can replace it before calling `next()`. */
+  message: any;
+  /** The response message, in the `incomingResponse` and `outgoingResponse` hooks. */
+  response?: any;
+}
+
+export type Middleware = (context: MiddlewareContext, next: () => Promise<any>) => any;
+
+export interface MiddlewarePipeline {
+  parent: MiddlewarePipeline | null;
+  hooks: Map<MiddlewareHook, Middleware[]>;
+  getMiddleware(hook: MiddlewareHook): Middleware[];
+  getAllMiddleware(hook: MiddlewareHook): Middleware[];
+  use(hook: MiddlewareHook, middleware: Middleware): void;
+  remove(hook: MiddlewareHook, middleware: Middleware): boolean;
+  run(hook: MiddlewareHook, context: MiddlewareContext, step: () => any): Promise<any>;
 }
 
 export interface Logger {
@@ -18,10 +654,38 @@ export interface Logger {
   trace(...args: any[]): void;
 }
 
+export interface RetryOptions {
+  attempts?: number;
+  backoff?: number | ((attempt: number) => number);
+  retryOn?: string[] | ((err: any) => boolean);
+}
+
+export interface Codec {
+  name: string;
+  /** Binary codecs send binary WebSocket frames, the others send text frames. */
+  binary: boolean;
+  encode(message: any): string | Uint8Array;
+  decode(packet: string | ArrayBuffer | Uint8Array): any;
+}
+
+export type CompressionAlgorithm = 'gzip' | 'deflate' | 'deflate-raw';
+
+export interface CompressionOptions {
+  threshold?: number;
+  algorithm?: CompressionAlgorithm;
+  maxSize?: number;
+}
+
 export interface BrokerBaseParams {
   moduleName?: string;
   maxPacketSize?: number;
   logger?: Logger;
+  legacyTimeouts?: boolean;
+  exposeErrorStack?: boolean;
+  chunkReassemblyTimeout?: number;
+  maxReassemblySize?: number;
+  codec?: 'json' | 'msgpack' | Codec;
+  compression?: CompressionOptions | boolean;
 }
 
 export class BrokerBase extends EventEmitter {
@@ -29,42 +693,117 @@ export class BrokerBase extends EventEmitter {
   moduleName: string;
   maxPacketSize: number;
   logger: Logger;
+  legacyTimeouts: boolean;
+  exposeErrorStack: boolean;
+  codecs: Map<string, Codec>;
+  preferredCodec: Codec;
+  compression: Required<CompressionOptions> & { enabled: boolean };
   apiHandlers: Map<string, any>;
   events: Map<string, any>;
-  api: {
-    [vendor: string]: {
-      [module: string]: {
-        emit(eventName: string, ...args: any[]): void;
-        on(eventName: string, handler: Function): void;
-        off(eventName: string, handler: Function): void;
-        once(eventName: string, handler: Function): void;
-      } & {
-        [method: string]: <T = any>(...args: any[]) => Promise<T>;
-      };
-    };
-  };
-
-  getMethodProxy(vendorName: string, moduleName: string, options?: any): any;
+  api: Api;
+  middleware: MiddlewarePipeline;
+  emittedEvents: Set<string>;
+  declaredEvents: Map<string, APIEventSchema | null>;
+  eventPatterns: EventPatternSet;
+
+  use(hook: MiddlewareHook, middleware: Middleware): this;
+  removeMiddleware(hook: MiddlewareHook, middleware: Middleware): boolean;
+  getMethodProxy(vendorName: string, moduleName: string, options?: any): ModuleProxy;
   initProxy(): void;
-  sendResponse(socket: any, message: any, success: boolean, data?: any[], relayedMessage?: boolean): Promise<any>;
-  registerAPIHandler(messageType: string, messageHandler: Function): boolean;
+  sendResponse(
+    socket: any,
+    message: any,
+    success: boolean,
+    data?: any,
+    relayedMessage?: boolean,
+    fields?: { [key: string]: any }
+  ): Promise<any>;
+  sendResponseStream(
+    socket: any,
+    message: any,
+    iterable: AsyncIterable<any>,
+    relayedMessage?: boolean,
+    signal?: AbortSignal
+  ): Promise<void>;
+  serializeError(ex: Error): SerializedBrokerError;
+  registerAPIHandler(
+    messageType: string,
+    messageHandler: Function,
+    schema?: APIHandlerSchema,
+    options?: APIHandlerOptions
+  ): boolean;
+  getAPISchemas(): { [methodName: string]: APIHandlerSchema };
+  registerAPIEvent(eventName: string, schema?: APIEventSchema): boolean;
+  getEventSchemas(): { [eventName: string]: APIEventSchema };
+  validateAPIArguments(messageType: string, handler: { schema?: APIHandlerSchema | null }, args: any[]): void;
   subscribeToAPIEvent(
     eventName: string,
     eventHandler: Function,
     options?: { sendMessage?: boolean; once?: boolean }
   ): Promise<any>;
   unsubscribeFromAPIEvent(eventName: string, eventHandler?: Function, sendMessage?: boolean): Promise<any>;
-  sendMessage(message: any, socket: any, relayedMessage?: boolean): Promise<any>;
+  removeAPIEventHandler(eventName: string, eventHandler: Function): void;
+  waitForEvent(eventName: string, options?: NextEventOptions): Promise<any[]>;
+  sendMessage(
+    message: any,
+    socket: any,
+    relayedMessage?: boolean,
+    options?: { signal?: AbortSignal; onProgress?: (...progress: any[]) => void; silent?: boolean }
+  ): Promise<any>;
+  getCodec(socket: any): Codec;
+  setCodec(socket: any, codecName: string): void;
+  getOfferedCodecs(): string[] | undefined;
+  negotiateCodec(offeredCodecs: string[]): string;
+  setCompressionAlgorithm(socket: any, algorithm: CompressionAlgorithm): void;
+  getOfferedCompressionAlgorithms(): CompressionAlgorithm[] | undefined;
+  negotiateCompressionAlgorithm(offeredAlgorithms: string[]): CompressionAlgorithm | null;
+  decodeMessage(packet: string | ArrayBuffer | Uint8Array, socket: any): any;
+  writeMessage(message: any, packet: string | Uint8Array, socket: any): Promise<void> | undefined;
+  receiveCompressed(message: any, socket: any): Promise<string | Uint8Array | null>;
+  sendChunked(message: any, packet: string | Uint8Array, socket: any, codec?: Codec): void;
+  receiveChunk(message: any, socket: any): Promise<string | Uint8Array | null>;
+  waitForResponse(message: any, timeout: number, signal?: AbortSignal, onProgress?: (...progress: any[]) => void): Promise<any>;
+  sendMessageWithRetry(message: any, retry: Required<RetryOptions>): Promise<any>;
+  sendCancel(message: any, socket: any): void;
   ping(targetModuleName: string): Promise<any>;
-  emitMessage(args: any[], vendorName: string, moduleName: string, options?: any): void;
+  emitMessage(args: any[], vendorName: string, moduleName: string, options?: any): Promise<EventAcknowledgements> | void;
+  emitAcknowledged(
+    message: any,
+    options: { timeout: number; expect?: string[]; signal?: AbortSignal }
+  ): Promise<EventAcknowledgements>;
   destroy(): void | Promise<void>;
 }
 
+export interface ReconnectOptions {
+  initialDelay?: number;
+  multiplier?: number;
+  maxDelay?: number;
+  jitter?: number;
+  maxAttempts?: number;
+}
+
+export interface OfflineQueueOptions {
+  maxSize?: number;
+  maxAge?: number;
+}
+
+export interface HeartbeatOptions {
+  interval?: number;
+  missThreshold?: number;
+}
+
+export type OfflinePolicy = 'queue' | 'drop' | 'reject';
+
 export interface BrokerClientParams extends BrokerBaseParams {
   webSocketURL?: string;
   isDuplicate?: boolean;
   parent?: BrokerClient;
   ssl?: boolean;
+  reconnect?: ReconnectOptions | false;
+  offlineQueue?: OfflineQueueOptions;
+  heartbeat?: HeartbeatOptions;
+  /** Modules this module depends on. API calls to a dependency wait until it's online. */
+  dependencies?: string[];
 }
 
 export interface ConnectOptions {
@@ -79,6 +818,14 @@ export interface InitModuleParams {
   serverURL?: string;
   webSocketURL?: string;
   hub: ConnectOptions;
+  reconnect?: ReconnectOptions | false;
+  offlineQueue?: OfflineQueueOptions;
+  heartbeat?: HeartbeatOptions;
+  legacyTimeouts?: boolean;
+  exposeErrorStack?: boolean;
+  codec?: 'json' | 'msgpack' | Codec;
+  compression?: CompressionOptions | boolean;
+  dependencies?: string[];
 }
 
 export class BrokerClient extends BrokerBase {
@@ -89,27 +836,64 @@ export class BrokerClient extends BrokerBase {
   parent: BrokerClient;
   ssl: boolean;
   socket: any;
+  reconnectPolicy: ReconnectPolicy;
+  offlineQueue: { size: number } | null;
+  latency: number;
+  activeRequests: Map<string, AbortController>;
+  builtInHandlers: Map<string, Function>;
+  presence: ModulePresence;
+  dependencies: Set<string>;
 
   getConnectPromise(): Promise<void>;
   forceReconnect(): void;
   connect(options: ConnectOptions): void;
-  duplicate(params: { moduleName: string }): BrokerClient;
+  duplicate(params: { moduleName: string; dependencies?: string[] }): BrokerClient;
   isConnected(): boolean;
   ping(): Promise<any>;
   getSocket(): any;
-  handleMessage(rawMessage: string): Promise<void>;
+  onSocketMessage(event: { data: string | ArrayBuffer | Uint8Array }): Promise<void>;
+  handleMessage(rawMessage: string | ArrayBuffer | Uint8Array): Promise<void>;
   sendMessage(message: any): Promise<any>;
+  transmitMessage(message: any): Promise<any>;
+  acknowledgeEvent(socket: any, message: any, results: any[]): Promise<void>;
+  sendProgress(socket: any, message: any, data: any[], relay: boolean, signal: AbortSignal): void;
+  getAPIHandler(messageType: string): APIHandlerEntry | undefined;
+  callAPIHandler(socket: any, message: any, handler: APIHandlerEntry, args: any[], signal: AbortSignal): Promise<any>;
+  handleBatch(
+    socket: any,
+    message: any,
+    signal: AbortSignal
+  ): Promise<{ success: boolean; data?: any; error?: SerializedBrokerError }[]>;
+  getOnlineModules(): ModulePresenceEntry[];
+  isModuleOnline(moduleName: string): boolean;
+  waitForModule(moduleName: string, options?: WaitForModuleOptions): Promise<ModulePresenceEntry>;
+  waitForDependencies(options?: WaitForModuleOptions): Promise<ModulePresenceEntry[]>;
+  probeModule(moduleName: string, timeout: number): Promise<boolean>;
+  describe(): ModuleDescription;
+  discover(options?: { timeout?: number }): Promise<DiscoveredModule[]>;
+  flushOfflineQueue(): void;
   addSocketListeners(): void;
   removeSocketListeners(): void;
   resubscribeModuleEvents(): void;
   onOpen(): Promise<void>;
   onError(err: any): void;
   onClose(e: any): void;
+  scheduleReconnect(): void;
+  markDisconnected(e: any): void;
+  startHeartbeat(): void;
+  stopHeartbeat(): void;
+  sendHeartbeat(): Promise<void>;
+  onHeartbeatFailure(): void;
   registerHandlersToRemote(targetModuleName: string): Promise<any>;
+  getHandledMessageTypes(): string[];
   deregisterHandlersFromRemotes(): Promise<any>;
   unsubscribeFromAllEvents(): Promise<any>;
   destroy(): Promise<void>;
-  registerAPIHandlers(handlers: { [key: string]: Function }, context?: any, remote?: string): Promise<any>;
+  registerAPIHandlers(
+    handlers: { [key: string]: Function | ({ handler: Function; schema?: APIHandlerSchema } & APIHandlerOptions) },
+    context?: any,
+    remote?: string
+  ): Promise<any>;
 
   static initModule(params: InitModuleParams): Promise<BrokerClient>;
 }
@@ -14,9 +14,14 @@
 // You should have received a copy of the GNU General Public License
 // along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
 
+import Batch from './lib/Batch.js';
 import BrokerBase from './lib/BrokerBase.js';
 import BrokerClient from './lib/BrokerClient.js';
 import BrokerError from './lib/BrokerError.js';
+import BrokerTimeoutError from './lib/BrokerTimeoutError.js';
 import RawRequest from './lib/RawRequest.js';
+import RealityCache from './lib/RealityCache.js';
+import RealityWorld from './lib/RealityWorld.js';
+import Timeline from './lib/Timeline.js';
 
-export { BrokerBase, BrokerClient, BrokerError, RawRequest };
+export { Batch, BrokerBase, BrokerClient, BrokerError, BrokerTimeoutError, RawRequest, RealityCache, RealityWorld, Timeline };
@@ -0,0 +1,282 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import BrokerError from './BrokerError.js';
+
+/**
+ * Tells if a batch request is rejected because the module doesn't have a `batch` handler. Older modules send
+ * the error without the `NO_HANDLER` code, so their message is checked as well.
+ * @param {Error} ex
+ * @returns {boolean}
+ */
+function isBatchUnsupported(ex) {
+  return (
+    ex.code === 'NO_HANDLER' || (typeof ex.message === 'string' && ex.message.startsWith('There is no handler registered'))
+  );
+}
+
+/**
+ * Collects calls to the API handlers of one or more modules and sends the calls to each module in a
+ * single request. Created with `api.<vendor>.<module>.$batch()`:
+ *
+ *     const results = await brokerClient.api.hub.reality5_1_2_world
+ *       .$batch()
+ *       .setNodeProperty({ NodePath: '/A', PropertyPath: 'X', Value: 1 })
+ *       .setNodeProperty({ NodePath: '/A', PropertyPath: 'Y', Value: 2 })
+ *       .send();
+ *
+ * The calls of a module are run in order. If the module answers that it doesn't support batches, the calls
+ * are sent to it one by one. If the batch request fails otherwise or times out, every call of the module fails
+ * with its error and none of them is sent again.
+ * @param {BrokerBase} broker
+ * @param {object} [options] Options
+ * @param {boolean} [options.atomic=false] If a call fails, the rest of the calls to the same module are
+ * skipped and `send()` rejects with a `BATCH_FAILED` error.
+ * @param {number} [options.timeout] Request timeout in milliseconds.
+ * @param {string[]} [options.excludedClients]
+ * @param {'queue'|'drop'|'reject'} [options.offline]
+ * @param {AbortSignal} [options.signal]
+ */
+export default class Batch {
+  constructor(broker, options = {}) {
+    this.broker = broker;
+    this.options = options;
+    this.atomic = !!options.atomic;
+    this.calls = [];
+    this.sent = false;
+
+    /**
+     * Adds calls to any module: `batch.api.<vendor>.<module>.<method>(...args)`.
+     * @type {object}
+     */
+    this.api = new Proxy(
+      {},
+      {
+        get: (_, vendorName) => new Proxy({}, { get: (_, moduleName) => this.module(vendorName, moduleName) }),
+      }
+    );
+  }
+
+  /**
+   * Number of the calls in the batch.
+   * @type {number}
+   */
+  get size() {
+    return this.calls.length;
+  }
+
+  /**
+   * Returns a proxy adding calls to a module. The other members of the batch are available on it as well,
+   * and each call returns the proxy so the calls can be chained.
+   * @param {string} vendorName
+   * @param {string} moduleName
+   * @returns {Proxy}
+   */
+  module(vendorName, moduleName) {
+    const proxy = new Proxy(this, {
+      get: (batch, name) => {
+        // Don't let the proxy be mistaken for a promise
+        if (typeof name === 'symbol' || name === 'then') return undefined;
+
+        if (name in batch) {
+          return typeof batch[name] === 'function' ? batch[name].bind(batch) : batch[name];
+        }
+
+        return (...args) => {
+          batch.add(`${vendorName}.${moduleName}.${name}`, args);
+          return proxy;
+        };
+      },
+    });
+
+    return proxy;
+  }
+
+  /**
+   * Adds a call.
+   * @param {string} type Fully qualified method name (e.g. `vendor.module.method`).
+   * @param {Array} [args]
+   * @returns {Batch}
+   */
+  add(type, args = []) {
+    if (this.sent) {
+      throw new Error('Calls cannot be added to a batch that has been sent.');
+    }
+
+    if (typeof type !== 'string' || type.split('.').length < 3) {
+      throw new Error('type must be in the "vendor.module.method" format');
+    }
+
+    this.calls.push({ type, args });
+    return this;
+  }
+
+  /**
+   * Sends the calls, in a single request for each module.
+   * @returns {Promise.<{ success: boolean, data?: *, error?: BrokerError }[]>} The results in the order of the
+   * calls.
+   * @throws {BrokerError} `BATCH_FAILED` if the batch is atomic and one of the calls has failed.
+   */
+  async send() {
+    if (this.sent) {
+      throw new Error('The batch has already been sent.');
+    }
+
+    this.sent = true;
+
+    const groups = new Map();
+
+    this.calls.forEach((call, index) => {
+      const targetModuleName = call.type.split('.').slice(0, 2).join('.');
+
+      if (!groups.has(targetModuleName)) {
+        groups.set(targetModuleName, []);
+      }
+
+      groups.get(targetModuleName).push({ ...call, index });
+    });
+
+    const results = new Array(this.calls.length);
+
+    await Promise.all(
+      [...groups].map(async ([targetModuleName, calls]) => {
+        const groupResults = await this.sendGroup(targetModuleName, calls);
+        calls.forEach((call, index) => (results[call.index] = groupResults[index]));
+      })
+    );
+
+    const failures = results.map((result, index) => ({ ...result, index })).filter((result) => !result.success);
+
+    if (this.atomic && failures.length) {
+      const [{ error }] = failures;
+
+      throw new BrokerError(`${failures.length} of ${results.length} batched calls have failed: ${error.message}`, {
+        code: 'BATCH_FAILED',
+        details: {
+          failures: failures.map(({ index, error }) => ({
+            index,
+            type: this.calls[index].type,
+            error: this.broker.serializeError(error),
+          })),
+        },
+        cause: error,
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * @private
+   * @param {string} targetModuleName
+   * @param {{ type: string, args: Array }[]} calls
+   * @returns {Promise.<object[]>}
+   */
+  async sendGroup(targetModuleName, calls) {
+    const { timeout, excludedClients, offline, signal } = this.options;
+    let response;
+
+    try {
+      response = await this.broker.sendMessage({
+        type: `${targetModuleName}.batch`,
+        targetModuleName,
+        data: calls.map(({ type, args }) => ({ type, data: args })),
+        batch: { atomic: this.atomic },
+        timeout,
+        excludedClients,
+        offline,
+        signal,
+        // The handler reports each completed call, which keeps the request from timing out
+        progress: true,
+      });
+    } catch (ex) {
+      // A module that may have received the batch is never sent the calls again, they might be run twice
+      if (isBatchUnsupported(ex)) {
+        return this.sendOneByOne(calls);
+      }
+
+      return calls.map(() => ({ success: false, error: ex }));
+    }
+
+    // Timed out with `legacyTimeouts`, or answered by something that doesn't know about batches
+    if (!(response instanceof Array)) {
+      const error = new BrokerError(`${targetModuleName}.batch has not been answered.`, {
+        code: 'NO_RESPONSE',
+        moduleName: targetModuleName,
+      });
+
+      return calls.map(() => ({ success: false, error }));
+    }
+
+    return calls.map(({ type }, index) => {
+      const result = response[index];
+
+      if (result && result.success) {
+        return { success: true, data: result.data };
+      }
+
+      const defaults = { error: `${type} has failed.`, code: 'REQUEST_FAILED', moduleName: targetModuleName };
+      const error =
+        result && result.error ? BrokerError.fromJSON(result.error, defaults) : new BrokerError(defaults.error, defaults);
+
+      return { success: false, error };
+    });
+  }
+
+  /**
+   * Sends the calls to a module that doesn't support batches in order.
+   * @private
+   * @param {{ type: string, args: Array }[]} calls
+   * @returns {Promise.<object[]>}
+   */
+  async sendOneByOne(calls) {
+    const { timeout, excludedClients, offline, signal } = this.options;
+    const results = [];
+    let failedType = null;
+
+    for (const { type, args } of calls) {
+      if (failedType) {
+        results.push({
+          success: false,
+          error: new BrokerError(`${type} is skipped because ${failedType} has failed.`, { code: 'BATCH_SKIPPED' }),
+        });
+        continue;
+      }
+
+      try {
+        const data = await this.broker.sendMessage({
+          type,
+          targetModuleName: type.split('.').slice(0, 2).join('.'),
+          data: args,
+          timeout,
+          excludedClients,
+          offline,
+          signal,
+        });
+
+        results.push({ success: true, data });
+      } catch (ex) {
+        results.push({ success: false, error: ex });
+
+        if (this.atomic) {
+          failedType = type;
+        }
+      }
+    }
+
+    return results;
+  }
+}
@@ -16,10 +16,64 @@
 
 import { v4 as uuid } from 'uuid';
 import EventEmitter from 'events';
+import Batch from './Batch.js';
 import BrokerError from './BrokerError.js';
-import onceMultiple from './onceMultiple.js';
+import BrokerTimeoutError from './BrokerTimeoutError.js';
+import ChunkAssembler from './ChunkAssembler.js';
+import ResponseStream from './ResponseStream.js';
+import checksum from './checksum.js';
+import EventPatternSet, { isEventPattern, validateEventPattern } from './EventPatternSet.js';
+import EventStream from './EventStream.js';
+import { COMPRESSION_ALGORITHMS, compress, decompress, fromBase64, isCompressionSupported, toBase64 } from './compression.js';
+import jsonCodec from './jsonCodec.js';
+import MiddlewarePipeline from './MiddlewarePipeline.js';
+import msgpackCodec from './msgpackCodec.js';
+import onceMultiple, { AbortError, TimeoutError } from './onceMultiple.js';
+import validateSchema, { checkSchema } from './validateSchema.js';
 
 const DEFAULT_MAX_WS_PACKET_SIZE = 50 /*MB*/ * 1024 * 1024;
+const DEFAULT_CHUNK_REASSEMBLY_TIMEOUT = 30 * 1000;
+
+const DEFAULT_COMPRESSION_OPTIONS = {
+  threshold: 64 * 1024,
+  algorithm: 'gzip',
+};
+
+const DEFAULT_STREAM_WINDOW = 16;
+const STREAM_ACK_TIMEOUT = 60 * 1000 * 5;
+
+// Message types that are not answered with a `response` message
+const NO_RESPONSE_TYPES = ['event', 'response', 'cancel', 'streamack'];
+
+// Names the method proxy handles itself. API handlers with these names can't be called through the proxy.
+// The options added after these are prefixed with `$`, which is reserved for the method proxy.
+const RESERVED_METHOD_NAMES = ['emit', 'on', 'once', 'off', 'callTimeout', 'excludeClients'];
+
+/**
+ * Tells if a method name is handled by the method proxy instead of being sent to the module.
+ * @param {string} methodName
+ * @returns {boolean}
+ */
+function isReservedMethodName(methodName) {
+  return RESERVED_METHOD_NAMES.includes(methodName) || (typeof methodName === 'string' && methodName.startsWith('$'));
+}
+
+const DEFAULT_RETRY_OPTIONS = {
+  attempts: 3,
+  backoff: 500,
+  retryOn: ['TIMEOUT', 'NOT_CONNECTED'],
+};
+
+/**
+ * Clones method proxy options. Values that cannot be serialized (e.g. an `AbortSignal` or
+ * callbacks) are copied by reference.
+ * @param {object} options
+ * @returns {object}
+ */
+function cloneOptions(options) {
+  const { signal, retry, onProgress, ...rest } = options;
+  return { ...JSON.parse(JSON.stringify(rest)), signal, retry, onProgress };
+}
 
 /**
  * BrokerBase constructor
@@ -27,6 +81,22 @@ const DEFAULT_MAX_WS_PACKET_SIZE = 50 /*MB*/ * 1024 * 1024;
  * @param {string} [params.moduleName] Module name
  * @param {number} [params.maxPacketSize] Maximum websocket packet size
  * @param {Logger} [params.logger] Logger instance
+ * @param {boolean} [params.legacyTimeouts=false] If set to `true`, timed out requests resolve `undefined`
+ * instead of rejecting with a `BrokerTimeoutError`.
+ * @param {boolean} [params.exposeErrorStack=false] If set to `true`, failed responses include the stack trace
+ * of the error thrown by the API handler.
+ * @param {number} [params.chunkReassemblyTimeout=30000] Milliseconds to wait for the next chunk of a message
+ * larger than `maxPacketSize`.
+ * @param {number} [params.maxReassemblySize] Maximum total size of the chunked messages being received at the
+ * same time. Defaults to 4 times `maxPacketSize`.
+ * @param {string|Codec} [params.codec='json'] Preferred message codec: `'json'`, `'msgpack'` or a custom codec.
+ * Messages are sent as JSON until the other end agrees to use the preferred codec.
+ * @param {object|boolean} [params.compression] Compresses the messages larger than a threshold. Set to `true`
+ * to use the default options.
+ * @param {number} [params.compression.threshold=65536] Minimum encoded size of a message to compress.
+ * @param {'gzip'|'deflate'|'deflate-raw'} [params.compression.algorithm='gzip'] Compression algorithm.
+ * @param {number} [params.compression.maxSize] Maximum decompressed size of a received message. Defaults to
+ * 4 times `maxPacketSize`.
  */
 export default class BrokerBase extends EventEmitter {
   constructor(params) {
@@ -39,7 +109,28 @@ export default class BrokerBase extends EventEmitter {
     this.events = new Map();
     this.apiHandlers = new Map();
 
+    /**
+     * The keys of `events` that have wildcards, indexed for matching the received events.
+     * @type {EventPatternSet}
+     */
+    this.eventPatterns = new EventPatternSet();
+
+    /**
+     * Names of the events this module has emitted, without the module name.
+     * @type {Set<string>}
+     */
+    this.emittedEvents = new Set();
+
+    /**
+     * Events declared with `registerAPIEvent()`, keyed by event name without the module name. The values are
+     * the schemas of the events, `null` if declared without a schema.
+     * @type {Map<string, object|null>}
+     */
+    this.declaredEvents = new Map();
+
     this.messageTimeout = 2000;
+    this.legacyTimeouts = !!params.legacyTimeouts;
+    this.exposeErrorStack = !!params.exposeErrorStack;
 
     this.overridenTimeout = NaN; // NaN = use the implementation
 
@@ -76,9 +167,120 @@ export default class BrokerBase extends EventEmitter {
       logger.log(`BrokerBase is created with maxPacketSize: ${this.maxPacketSize}`);
     }
 
+    this.codecs = new Map([
+      [jsonCodec.name, jsonCodec],
+      [msgpackCodec.name, msgpackCodec],
+    ]);
+
+    if (params.codec && typeof params.codec === 'object') {
+      this.codecs.set(params.codec.name, params.codec);
+    }
+
+    const codecName = (params.codec && params.codec.name) || params.codec || jsonCodec.name;
+
+    if (!this.codecs.has(codecName)) {
+      throw new Error(`Unknown codec: ${codecName}`);
+    }
+
+    this.preferredCodec = this.codecs.get(codecName);
+
+    /**
+     * Codecs agreed on for each socket. Sockets that are not in the map use JSON.
+     * @type {WeakMap<object, Codec>}
+     */
+    this.socketCodecs = new WeakMap();
+
+    /**
+     * Ids of the pings that offered codecs or compression algorithms. Only their responses can change how
+     * the messages of a socket are encoded.
+     * @type {Set<string>}
+     */
+    this.negotiations = new Set();
+
+    /**
+     * Compression algorithms agreed on for each socket. Messages are not compressed on the other sockets.
+     * @type {WeakMap<object, string>}
+     */
+    this.socketCompressionAlgorithms = new WeakMap();
+
+    this.compressionOptions = params.compression;
+    this.compression = {
+      ...DEFAULT_COMPRESSION_OPTIONS,
+      maxSize: this.maxPacketSize * 4,
+      ...(typeof params.compression === 'object' ? params.compression : {}),
+      enabled: !!params.compression,
+    };
+
+    if (!COMPRESSION_ALGORITHMS.includes(this.compression.algorithm)) {
+      throw new Error(`compression.algorithm must be one of ${COMPRESSION_ALGORITHMS.join(', ')}`);
+    }
+
+    if (typeof this.compression.threshold !== 'number' || this.compression.threshold < 0) {
+      throw new Error('compression.threshold must be a non-negative number');
+    }
+
+    if (this.compression.enabled && !isCompressionSupported()) {
+      (this.logger || console).warn('Compression is not supported by this runtime, messages are sent uncompressed.');
+      this.compression.enabled = false;
+    }
+
+    /**
+     * Writes that are waiting for a message to be compressed, keyed by socket. Later messages wait
+     * for them so messages are written in the order they are sent.
+     * @type {WeakMap<object, Promise>}
+     */
+    this.pendingWrites = new WeakMap();
+
+    this.chunkAssembler = new ChunkAssembler({
+      timeout: params.chunkReassemblyTimeout || DEFAULT_CHUNK_REASSEMBLY_TIMEOUT,
+      maxSize: params.maxReassemblySize || this.maxPacketSize * 4,
+    });
+
+    this.middleware = new MiddlewarePipeline();
+
     this.initProxy();
   }
 
+  /**
+   * Adds a middleware to a hook. The middleware of a hook run in the order they are added. Each middleware
+   * is called as `middleware(context, next)` and can change the context before calling `next()`, return a
+   * different result, return without calling `next()` to short-circuit, or throw to reject.
+   *
+   * - `outgoingRequest`: Messages sent by this broker, except responses. `context.message` is the message
+   *   that will be sent. `next()` resolves with the result of the request.
+   * - `incomingResponse`: Responses to the requests of this broker. `context.message` is the request and
+   *   `context.response` is the response message. `next()` resolves with `context.response`.
+   * - `incomingRequest`: Requests to this broker's API handlers, before the handler is looked up.
+   *   `context.message` is the request. `next()` resolves with the result of the handler, which is sent
+   *   to the caller. Thrown errors are sent to the caller as a failed response. Each call of a batch goes
+   *   through it as well, after the batch request.
+   * - `outgoingResponse`: Responses sent by this broker, including progress reports and stream chunks.
+   *   `context.message` is the request and `context.response` is the response message. Returning without
+   *   calling `next()` drops the response.
+   *
+   * `incomingResponse` and `outgoingResponse` run in BrokerBase. `outgoingRequest` and `incomingRequest` run
+   * where the requests are sent and dispatched, in BrokerClient's `sendMessage()` and `handleMessage()`, so
+   * other subclasses have to run them with `this.middleware.run()`. The middleware of a BrokerClient also
+   * run for its duplicates, before their own middleware.
+   * @param {'outgoingRequest'|'incomingResponse'|'incomingRequest'|'outgoingResponse'} hook
+   * @param {function} middleware
+   * @returns {BrokerBase} The broker itself, for chaining.
+   */
+  use(hook, middleware) {
+    this.middleware.use(hook, middleware);
+    return this;
+  }
+
+  /**
+   * Removes a middleware added with `use()`.
+   * @param {string} hook
+   * @param {function} middleware
+   * @returns {boolean} `false` if the middleware is not added to the hook.
+   */
+  removeMiddleware(hook, middleware) {
+    return this.middleware.remove(hook, middleware);
+  }
+
   getMethodProxy(vendorName, moduleName, options) {
     options = {
       timeout: 2000,
@@ -97,8 +299,7 @@ export default class BrokerBase extends EventEmitter {
           return (...args) => {
             switch (methodName) {
               case 'emit': {
-                this.emitMessage(args, vendorName, moduleName, options);
-                break;
+                return this.emitMessage(args, vendorName, moduleName, options);
               }
 
               case 'on': {
@@ -163,6 +364,26 @@ export default class BrokerBase extends EventEmitter {
                 break;
               }
 
+              case '$events': {
+                const eventName = args[0];
+
+                if (typeof eventName !== 'string') {
+                  throw new Error('eventName must be a string');
+                }
+
+                return new EventStream(this, `${vendorName}.${moduleName}.${eventName}`, args[1]);
+              }
+
+              case '$next': {
+                const eventName = args[0];
+
+                if (typeof eventName !== 'string') {
+                  throw new Error('eventName must be a string');
+                }
+
+                return this.waitForEvent(`${vendorName}.${moduleName}.${eventName}`, args[1]);
+              }
+
               case 'off': {
                 const eventName = args.shift();
                 const eventHandler = args.shift();
@@ -194,7 +415,7 @@ export default class BrokerBase extends EventEmitter {
                   throw new Error('callTimeout: timeout is required.');
                 }
 
-                const clonedOptions = JSON.parse(JSON.stringify(options));
+                const clonedOptions = cloneOptions(options);
                 clonedOptions.timeout = timeout;
                 return this.getMethodProxy(vendorName, moduleName, clonedOptions);
               }
@@ -206,19 +427,134 @@ export default class BrokerBase extends EventEmitter {
                   throw new Error('excludedClients requires 1 parameter: an array of strings');
                 }
 
-                const clonedOptions = JSON.parse(JSON.stringify(options));
+                const clonedOptions = cloneOptions(options);
                 clonedOptions.excludedClients = clonedOptions.excludedClients.concat(excludedClients);
                 return this.getMethodProxy(vendorName, moduleName, clonedOptions);
               }
 
+              case '$offline': {
+                const policy = args[0];
+
+                if (!['queue', 'drop', 'reject'].includes(policy)) {
+                  throw new Error('$offline: policy must be one of "queue", "drop" or "reject".');
+                }
+
+                const clonedOptions = cloneOptions(options);
+                clonedOptions.offline = policy;
+                return this.getMethodProxy(vendorName, moduleName, clonedOptions);
+              }
+
+              case '$signal': {
+                const signal = args[0];
+
+                if (!signal || typeof signal.addEventListener !== 'function' || typeof signal.aborted !== 'boolean') {
+                  throw new Error('$signal requires 1 parameter: an AbortSignal');
+                }
+
+                const clonedOptions = cloneOptions(options);
+                clonedOptions.signal = signal;
+                return this.getMethodProxy(vendorName, moduleName, clonedOptions);
+              }
+
+              case '$retry': {
+                const retry = { ...DEFAULT_RETRY_OPTIONS, ...args[0] };
+
+                if (typeof retry.attempts !== 'number' || retry.attempts < 1) {
+                  throw new Error('$retry: attempts must be a positive number.');
+                }
+
+                if (typeof retry.backoff !== 'number' && typeof retry.backoff !== 'function') {
+                  throw new Error('$retry: backoff must be a number or a function.');
+                }
+
+                if (!(retry.retryOn instanceof Array) && typeof retry.retryOn !== 'function') {
+                  throw new Error('$retry: retryOn must be an array of error codes or a function.');
+                }
+
+                const clonedOptions = cloneOptions(options);
+                clonedOptions.retry = retry;
+                return this.getMethodProxy(vendorName, moduleName, clonedOptions);
+              }
+
+              case '$acknowledge': {
+                const { timeout, expect = [] } = args[0] || {};
+
+                if (timeout !== undefined && (typeof timeout !== 'number' || timeout <= 0)) {
+                  throw new Error('$acknowledge: timeout must be a positive number.');
+                }
+
+                if (!(expect instanceof Array)) {
+                  throw new Error('$acknowledge: expect must be an array of module names.');
+                }
+
+                const clonedOptions = cloneOptions(options);
+                clonedOptions.acknowledge = { timeout, expect };
+                return this.getMethodProxy(vendorName, moduleName, clonedOptions);
+              }
+
+              case '$onProgress': {
+                const onProgress = args[0];
+
+                if (typeof onProgress !== 'function') {
+                  throw new Error('$onProgress requires 1 parameter: a function');
+                }
+
+                const clonedOptions = cloneOptions(options);
+                clonedOptions.onProgress = onProgress;
+                return this.getMethodProxy(vendorName, moduleName, clonedOptions);
+              }
+
+              case '$batch': {
+                const batch = new Batch(this, { ...options, ...args[0] });
+                return batch.module(vendorName, moduleName);
+              }
+
+              case '$stream': {
+                const { window = DEFAULT_STREAM_WINDOW } = args[0] || {};
+
+                if (typeof window !== 'number' || window < 1) {
+                  throw new Error('$stream: window must be a positive number.');
+                }
+
+                const clonedOptions = cloneOptions(options);
+                clonedOptions.stream = { window };
+                return this.getMethodProxy(vendorName, moduleName, clonedOptions);
+              }
+
               default: {
-                return this.sendMessage({
+                if (isReservedMethodName(methodName)) {
+                  throw new Error(`${methodName} is not a method proxy option.`);
+                }
+
+                const message = {
                   data: args,
                   timeout: options.timeout,
                   type: `${vendorName}.${moduleName}.${methodName}`,
                   targetModuleName: `${vendorName}.${moduleName}`,
                   excludedClients: options.excludedClients,
-                });
+                  offline: options.offline,
+                  signal: options.signal,
+                  stream: options.stream,
+                  progress: !!options.onProgress,
+                  onProgress: options.onProgress,
+                };
+                const send = () =>
+                  options.retry ? this.sendMessageWithRetry(message, options.retry) : this.sendMessage(message);
+
+                if (options.stream) {
+                  // The request is sent when the iteration starts
+                  return {
+                    async *[Symbol.asyncIterator]() {
+                      const stream = await send();
+
+                      if (stream) {
+                        yield* stream;
+                      }
+                    },
+                  };
+                }
+
+                return send();
               }
             }
           };
@@ -232,7 +568,7 @@ export default class BrokerBase extends EventEmitter {
             throw new Error('Handler must be a function.');
           }
 
-          if (['emit', 'on', 'off'].includes(methodName)) {
+          if (isReservedMethodName(methodName)) {
             throw new Error(`${methodName} is a reserved method name.`);
           }
 
@@ -268,15 +604,18 @@ export default class BrokerBase extends EventEmitter {
                   throw new Error('API must be set to an object.');
                 }
 
+                // Nothing is registered if one of the handlers is invalid
                 for (const [methodName, handler] of Object.entries(api)) {
                   if (typeof handler !== 'function') {
                     throw new Error('Handler must be a function.');
                   }
 
-                  if (['emit', 'on', 'off'].includes(methodName)) {
+                  if (isReservedMethodName(methodName)) {
                     throw new Error(`${methodName} is a reserved method name.`);
                   }
+                }
 
+                for (const [methodName, handler] of Object.entries(api)) {
                   this.registerAPIHandler(methodName, handler);
                 }
 
@@ -301,9 +640,10 @@ export default class BrokerBase extends EventEmitter {
    * @param {boolean} success Whether the request was successfully processed or not.
    * @param {array} [data] Additional payload
    * @param {boolean} [relayedMessage=false]
+   * @param {object} [fields] Additional fields of the response message
    * @returns {Promise.<array, Error>}
    */
-  sendResponse(socket, message, success, data = [], relayedMessage = false) {
+  sendResponse(socket, message, success, data = [], relayedMessage = false, fields = {}) {
     if (!socket) return;
 
     const { id: requestId, moduleName: targetModuleName, timeout, instigatorId } = message;
@@ -315,37 +655,241 @@ export default class BrokerBase extends EventEmitter {
       timeout,
       success,
       data,
+      ...fields,
     };
 
     if (relayedMessage) {
       websocketMessage.moduleName = message.targetModuleName;
     }
 
-    return this.sendMessage(websocketMessage, socket, relayedMessage);
+    const context = { message, response: websocketMessage };
+
+    return this.middleware.run('outgoingResponse', context, () => this.sendMessage(context.response, socket, relayedMessage));
+  }
+
+  /**
+   * Sends the values of `iterable` as the chunks of a streamed response. No more than the credit given by
+   * the caller is sent until the caller acknowledges the consumed chunks with `streamack` messages.
+   * @async
+   * @private
+   * @param {WebSocket} socket Target socket.
+   * @param {object} message The request to respond.
+   * @param {AsyncIterable} iterable Values to send.
+   * @param {boolean} [relayedMessage=false]
+   * @param {AbortSignal} [signal] Stops the stream when the caller cancels the request.
+   */
+  async sendResponseStream(socket, message, iterable, relayedMessage = false, signal = null) {
+    const ackEvent = `streamack::${message.id}`;
+    const iterator = iterable[Symbol.asyncIterator]();
+    let credit = message.stream.window || DEFAULT_STREAM_WINDOW;
+    let sequence = 0;
+    let completed = false;
+
+    const onAck = (ack) => {
+      credit += ack.credit;
+    };
+
+    this.on(ackEvent, onAck);
+
+    try {
+      while (true) {
+        while (credit <= 0) {
+          await onceMultiple(this, [ackEvent], STREAM_ACK_TIMEOUT, signal);
+        }
+
+        const { value, done } = await iterator.next();
+
+        if (signal && signal.aborted) return;
+
+        if (done) {
+          completed = true;
+          break;
+        }
+
+        await this.sendResponse(socket, message, true, value, relayedMessage, { stream: 'chunk', sequence });
+        sequence += 1;
+        credit -= 1;
+      }
+
+      await this.sendResponse(socket, message, true, [], relayedMessage, { stream: 'end', sequence });
+    } finally {
+      this.removeListener(ackEvent, onAck);
+
+      if (!completed && typeof iterator.return === 'function') {
+        await iterator.return();
+      }
+    }
+  }
+
+  /**
+   * Converts an exception thrown by an API handler into an entry of a failed response's `data`.
+   * Errors other than `BrokerError` are not exposed to the caller unless `exposeErrorStack` is set.
+   * @private
+   * @param {Error} ex
+   * @returns {object}
+   */
+  serializeError(ex) {
+    const includeStack = this.exposeErrorStack;
+
+    if (ex instanceof BrokerError) {
+      return {
+        ...ex.toJSON({ includeStack }),
+        moduleName: ex.moduleName || this.moduleName,
+      };
+    }
+
+    return new BrokerError('ERROR', {
+      code: 'INTERNAL_ERROR',
+      moduleName: this.moduleName,
+      remoteStack: ex && ex.stack,
+      cause: includeStack ? ex : undefined,
+    }).toJSON({ includeStack });
   }
 
   /**
    * Registers an API request handler.
    * @param {string} messageType Message type.
    * @param {function} messageHandler Handler function.
+   * @param {object} [schema] JSON Schemas of the handler (see `validateSchema` for the supported keywords).
+   * Requests with invalid arguments are rejected with an `INVALID_ARGUMENTS` error before the handler is called.
+   * Schemas with unsupported keywords or invalid patterns throw an error.
+   * @param {object[]|object} [schema.params] A schema for each argument, or a schema for the whole argument list.
+   * Each argument with a schema in the array is required.
+   * @param {object} [schema.returns] Schema of the return value. Only used for introspection.
+   * @param {object} [options] Options
+   * @param {boolean} [options.requestContext=false] Passes the request context (`caller`, `signal` and `progress`) to the
+   * handler after the arguments of the call.
    * @returns {boolean} `false` if a handler has already been assigned to the `messageType`.
    */
-  registerAPIHandler(messageType, messageHandler) {
+  registerAPIHandler(messageType, messageHandler, schema, options = {}) {
+    if (isReservedMethodName(messageType)) {
+      const logger = this.logger || console;
+      logger.warn(`${messageType} is a reserved method name, it can't be called through the api proxy.`);
+    }
+
     messageType = `${this.moduleName}.${messageType}`;
 
+    if (schema !== undefined && (!schema || typeof schema !== 'object')) {
+      throw new Error('schema must be an object');
+    }
+
+    if (schema && schema.params instanceof Array) {
+      schema.params.forEach((paramSchema, index) => checkSchema(paramSchema, `#/params/${index}`));
+    } else if (schema && schema.params !== undefined) {
+      checkSchema(schema.params, '#/params');
+    }
+
+    if (schema && schema.returns !== undefined) {
+      checkSchema(schema.returns, '#/returns');
+    }
+
     if (this.apiHandlers.has(messageType)) return false;
 
     this.apiHandlers.set(messageType, {
       relay: false,
       messageHandler,
+      schema: schema || null,
+      requestContext: !!options.requestContext,
     });
 
     return true;
   }
 
+  /**
+   * Returns the schemas of the registered API handlers, keyed by method name. Handlers registered without a
+   * schema have an empty object.
+   * @returns {Object.<string, { params?: object[]|object, returns?: object }>}
+   */
+  getAPISchemas() {
+    const schemas = {};
+    const prefix = `${this.moduleName}.`;
+
+    for (const [messageType, { schema }] of this.apiHandlers.entries()) {
+      if (messageType.startsWith(prefix)) {
+        schemas[messageType.slice(prefix.length)] = schema || {};
+      }
+    }
+
+    return schemas;
+  }
+
+  /**
+   * Declares an event this module emits, so that it's described before it's emitted.
+   * @param {string} eventName Event name without the module name.
+   * @param {object} [schema] JSON Schemas of the event (see `validateSchema` for the supported keywords). Only
+   * used for introspection. Schemas with unsupported keywords or invalid patterns throw an error.
+   * @param {object[]|object} [schema.params] A schema for each argument of the event, or a schema for the whole
+   * argument list.
+   * @returns {boolean} `false` if the event has already been declared.
+   */
+  registerAPIEvent(eventName, schema) {
+    if (typeof eventName !== 'string') {
+      throw new Error('eventName must be a string');
+    }
+
+    if (schema !== undefined && (!schema || typeof schema !== 'object')) {
+      throw new Error('schema must be an object');
+    }
+
+    if (schema && schema.params instanceof Array) {
+      schema.params.forEach((paramSchema, index) => checkSchema(paramSchema, `#/params/${index}`));
+    } else if (schema && schema.params !== undefined) {
+      checkSchema(schema.params, '#/params');
+    }
+
+    if (this.declaredEvents.has(eventName)) return false;
+
+    this.declaredEvents.set(eventName, schema || null);
+    return true;
+  }
+
+  /**
+   * Returns the schemas of the declared events, keyed by event name. Events declared without a schema have an
+   * empty object.
+   * @returns {Object.<string, { params?: object[]|object }>}
+   */
+  getEventSchemas() {
+    const schemas = {};
+
+    for (const [eventName, schema] of this.declaredEvents.entries()) {
+      schemas[eventName] = schema || {};
+    }
+
+    return schemas;
+  }
+
+  /**
+   * Validates the arguments of a request against the `params` schema of its handler.
+   * @private
+   * @param {string} messageType
+   * @param {object} handler An entry of `apiHandlers`.
+   * @param {Array} args
+   * @throws {BrokerError} `INVALID_ARGUMENTS` error whose `details.errors` lists the validation errors.
+   */
+  validateAPIArguments(messageType, handler, args) {
+    const params = handler.schema && handler.schema.params;
+
+    if (!params) return;
+
+    const schema = params instanceof Array ? { type: 'array', prefixItems: params, minItems: params.length } : params;
+    const errors = validateSchema(args, schema);
+
+    if (!errors.length) return;
+
+    const summary = errors.map(({ path, message }) => `${path || 'arguments'} ${message}`).join(', ');
+
+    throw new BrokerError(`Invalid arguments for ${messageType}: ${summary}`, {
+      code: 'INVALID_ARGUMENTS',
+      details: { errors },
+      moduleName: this.moduleName,
+    });
+  }
+
   /**
    * Subscribe to an API event.
-   * @param {string} eventName Fully qualified event name.
+   * @param {string} eventName Fully qualified event name. Segments after the module name can be wildcards:
+   * `*` matches one segment and `**` matches any number of segments (e.g. `vendor.module.engine.*`). Handlers of
+   * a pattern receive the name of the event (without the module name) before its arguments.
    * @param {function} eventHandler A function which will be called when the event is received.
    * @param {object} [options] Options
    * @param {boolean} [options.sendMessage=true] If set to `true`, it will send a subscription message over WebSocket.
@@ -361,6 +905,14 @@ export default class BrokerBase extends EventEmitter {
       ...options,
     };
 
+    validateEventPattern(eventName);
+
+    const pattern = isEventPattern(eventName);
+
+    if (pattern) {
+      this.eventPatterns.add(eventName);
+    }
+
     // Add handler to handlers map
     const handlerArray = this.events.get(eventName) || [];
     handlerArray.push({ eventHandler, once: options.once });
@@ -374,6 +926,7 @@ export default class BrokerBase extends EventEmitter {
         type: 'subscribe',
         eventName,
         targetModuleName,
+        ...(pattern ? { pattern: true } : {}),
       });
     }
   }
@@ -394,6 +947,13 @@ export default class BrokerBase extends EventEmitter {
       this.events.delete(eventName);
     }
 
+    const pattern = isEventPattern(eventName);
+
+    if (pattern && !(this.events.get(eventName) || []).length) {
+      this.events.delete(eventName);
+      this.eventPatterns.delete(eventName);
+    }
+
     if (sendMessage) {
       const targetModuleName = eventName.split('.').slice(0, 2).join('.');
 
@@ -401,10 +961,126 @@ export default class BrokerBase extends EventEmitter {
         type: 'unsubscribe',
         eventName,
         targetModuleName,
+        ...(pattern ? { pattern: true } : {}),
       });
     }
   }
 
+  /**
+   * Removes an event handler. The server is told to stop sending the event only if the event has no other
+   * handlers left.
+   * @private
+   * @param {string} eventName Fully qualified event name.
+   * @param {function} eventHandler
+   */
+  removeAPIEventHandler(eventName, eventHandler) {
+    const entries = this.events.get(eventName) || [];
+
+    if (!entries.some((entry) => entry.eventHandler === eventHandler)) return;
+
+    const lastHandler = entries.every((entry) => entry.eventHandler === eventHandler);
+    const unsubscribe = lastHandler
+      ? this.unsubscribeFromAPIEvent(eventName)
+      : this.unsubscribeFromAPIEvent(eventName, eventHandler, false);
+
+    Promise.resolve(unsubscribe).catch((err) => {
+      const logger = this.logger || console;
+      logger.debug(`Couldn't unsubscribe from ${eventName}: ${err.message}`);
+    });
+  }
+
+  /**
+   * Waits for the next occurrence of an event.
+   * @param {string} eventName Fully qualified event name or pattern.
+   * @param {object} [options] Options
+   * @param {number} [options.timeout=0] Milliseconds to wait. `0` waits without a time limit.
+   * @param {function} [options.filter] Receives the arguments of each event. Events it returns a falsy value
+   * for are skipped.
+   * @param {AbortSignal} [options.signal] Stops waiting.
+   * @returns {Promise.<Array, BrokerTimeoutError|AbortError|Error>} The arguments of the event. Rejects with the
+   * error of the subscription if the event cannot be subscribed to.
+   */
+  waitForEvent(eventName, options = {}) {
+    const { timeout = 0, filter, signal } = options;
+
+    if (typeof timeout !== 'number' || timeout < 0) {
+      throw new Error('next: timeout must be a non-negative number.');
+    }
+
+    if (filter !== undefined && typeof filter !== 'function') {
+      throw new Error('next: filter must be a function.');
+    }
+
+    return new Promise((resolve, reject) => {
+      const start = Date.now();
+      let settled = false;
+      let timer;
+      let onEvent;
+      let onAbort;
+
+      const finish = (error, args) => {
+        settled = true;
+        clearTimeout(timer);
+        this.removeAPIEventHandler(eventName, onEvent);
+
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+
+        if (error) {
+          reject(error);
+        } else {
+          resolve(args);
+        }
+      };
+
+      onEvent = (...args) => {
+        if (settled) return;
+
+        try {
+          if (filter && !filter(...args)) return;
+        } catch (ex) {
+          finish(ex);
+          return;
+        }
+
+        finish(null, args);
+      };
+
+      onAbort = () => finish(new AbortError(`Waiting for ${eventName} is aborted.`));
+
+      if (signal && signal.aborted) {
+        reject(new AbortError(`Waiting for ${eventName} is aborted.`));
+        return;
+      }
+
+      this.subscribeToAPIEvent(eventName, onEvent).catch((err) => {
+        const logger = this.logger || console;
+        logger.error(`Couldn't subscribe to ${eventName}: ${err.message}`);
+
+        if (!settled) {
+          finish(err);
+        }
+      });
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+
+      if (timeout) {
+        timer = setTimeout(() => {
+          finish(
+            new BrokerTimeoutError(`${eventName} has not been emitted in ${timeout} milliseconds.`, {
+              messageType: eventName,
+              targetModuleName: eventName.split('.').slice(0, 2).join('.'),
+              elapsed: Date.now() - start,
+            })
+          );
+        }, timeout);
+      }
+    });
+  }
+
   /**
    * Send an API message through a socket.
    * @async
@@ -413,56 +1089,520 @@ export default class BrokerBase extends EventEmitter {
    * to the message object. Unlike other mentioned fields `data` will not get overridden when provided.
    * @param {object} socket Socket instance.
    * @param {boolean} [relayedMessage=false]
+   * @param {object} [options] Options
+   * @param {AbortSignal} [options.signal] Aborting rejects the request and sends a `cancel` message to the target.
+   * @param {function} [options.onProgress] Called with the progress reported by the handler. Each report
+   * restarts the timeout of the request.
+   * @param {boolean} [options.silent=false] Doesn't log the failure of the request.
    * @returns {Promise.<array, Error>}
    */
-  async sendMessage(message, socket, relayedMessage = false) {
+  async sendMessage(message, socket, relayedMessage = false, options = {}) {
+    const { signal, onProgress, silent } = options;
+
+    if (signal && signal.aborted) {
+      throw new AbortError(`${message.type} is aborted.`);
+    }
+
     message.id = uuid();
 
+    if (message.type === 'ping' && (message.codecs || message.compressionAlgorithms)) {
+      this.negotiations.add(message.id);
+    }
+
     if (!relayedMessage) {
       message.moduleName = this.moduleName;
     }
 
     message.time = new Date().valueOf();
-    const packet = JSON.stringify(message);
+    const start = Date.now();
+    const packet = this.getCodec(socket).encode(message);
+    const write = this.writeMessage(message, packet, socket);
 
-    if (packet.length > this.maxPacketSize) {
-      this.logger.trace(new Error('MAX_WS_PACKET_SIZE'));
+    if (write) {
+      await write;
     }
 
-    socket.send(packet);
+    if (message.stream && !NO_RESPONSE_TYPES.includes(message.type)) {
+      return new ResponseStream(this, message, socket, this.overridenTimeout || message.timeout || this.messageTimeout, signal);
+    }
 
-    if (!['event', 'response'].includes(message.type)) {
+    if (!NO_RESPONSE_TYPES.includes(message.type)) {
       let responseMessage;
 
       try {
-        responseMessage = await onceMultiple(
-          this,
-          [`response::${message.id}`],
-          this.overridenTimeout || message.timeout || this.messageTimeout
+        responseMessage = await this.waitForResponse(
+          message,
+          this.overridenTimeout || message.timeout || this.messageTimeout,
+          signal,
+          onProgress
         );
       } catch (ex) {
-        const logger = this.logger || console;
-        logger.debug(`${this.moduleName} failed to send message ${message.type} to ${message.targetModuleName || ''}`);
-        return;
+        this.negotiations.delete(message.id);
+
+        if (ex instanceof AbortError) {
+          this.sendCancel(message, socket);
+          throw new AbortError(`${message.type} is aborted.`);
+        }
+
+        if (!silent) {
+          const logger = this.logger || console;
+          logger.debug(`${this.moduleName} failed to send message ${message.type} to ${message.targetModuleName || ''}`);
+        }
+
+        if (this.legacyTimeouts) return;
+
+        const elapsed = Date.now() - start;
+        throw new BrokerTimeoutError(`${message.type} has timed out after ${elapsed} milliseconds.`, {
+          messageType: message.type,
+          targetModuleName: message.targetModuleName,
+          elapsed,
+        });
       }
 
       if (!responseMessage) return;
 
+      const context = { message, response: responseMessage };
+      responseMessage = await this.middleware.run('incomingResponse', context, () => context.response);
+
+      if (!responseMessage) return;
+
       if (responseMessage.success) {
         return responseMessage.data;
       } else {
-        let errorMessage = `${message.moduleName}'s "${message.type}" request has failed.`;
+        const defaults = {
+          error: `${message.moduleName}'s "${message.type}" request has failed.`,
+          code: 'REQUEST_FAILED',
+          moduleName: message.targetModuleName,
+        };
+        let error = new BrokerError(defaults.error, defaults);
 
         if (responseMessage.data instanceof Array && responseMessage.data.length && responseMessage.data[0].error) {
-          errorMessage = responseMessage.data[0].error;
+          error = BrokerError.fromJSON(responseMessage.data[0], defaults);
         }
 
-        this.logger.error(errorMessage);
-        throw new BrokerError(errorMessage);
+        if (!silent) {
+          this.logger.error(error.message);
+        }
+
+        throw error;
       }
     }
   }
 
+  /**
+   * Returns the codec used to encode the messages sent through `socket`.
+   * @param {object} socket Socket instance.
+   * @returns {Codec}
+   */
+  getCodec(socket) {
+    return (socket && this.socketCodecs.get(socket)) || jsonCodec;
+  }
+
+  /**
+   * Sets the codec used to encode the messages sent through `socket`.
+   * @param {object} socket Socket instance.
+   * @param {string} codecName
+   */
+  setCodec(socket, codecName) {
+    const codec = this.codecs.get(codecName);
+
+    if (!codec) {
+      throw new Error(`Unknown codec: ${codecName}`);
+    }
+
+    if (this.getCodec(socket) !== codec) {
+      (this.logger || console).info(`${this.moduleName} is using the ${codecName} codec`);
+    }
+
+    this.socketCodecs.set(socket, codec);
+  }
+
+  /**
+   * Returns the codec names to offer in a ping message, or `undefined` if only JSON is wanted.
+   * @returns {string[]|undefined}
+   */
+  getOfferedCodecs() {
+    if (this.preferredCodec === jsonCodec) return;
+
+    return [this.preferredCodec.name, jsonCodec.name];
+  }
+
+  /**
+   * Picks the first codec of the other end's offer that is supported.
+   * @param {string[]} offeredCodecs Codec names in the order of preference.
+   * @returns {string}
+   */
+  negotiateCodec(offeredCodecs) {
+    return (offeredCodecs instanceof Array && offeredCodecs.find((name) => this.codecs.has(name))) || jsonCodec.name;
+  }
+
+  /**
+   * Sets the compression algorithm of the messages sent through `socket`. Messages are compressed only after
+   * the other end has agreed on an algorithm, since older modules can't read compressed messages.
+   * @param {object} socket Socket instance.
+   * @param {string} algorithm
+   */
+  setCompressionAlgorithm(socket, algorithm) {
+    if (!COMPRESSION_ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Unknown compression algorithm: ${algorithm}`);
+    }
+
+    this.socketCompressionAlgorithms.set(socket, algorithm);
+  }
+
+  /**
+   * Returns the compression algorithms to offer in a ping message, or `undefined` if compression is disabled.
+   * @returns {string[]|undefined}
+   */
+  getOfferedCompressionAlgorithms() {
+    if (!this.compression.enabled) return;
+
+    const { algorithm } = this.compression;
+    return [algorithm, ...COMPRESSION_ALGORITHMS.filter((name) => name !== algorithm)];
+  }
+
+  /**
+   * Picks the first compression algorithm of the other end's offer that can be decompressed here.
+   * @param {string[]} offeredAlgorithms Algorithm names in the order of preference.
+   * @returns {string|null} `null` if none of them is supported.
+   */
+  negotiateCompressionAlgorithm(offeredAlgorithms) {
+    if (!isCompressionSupported() || !(offeredAlgorithms instanceof Array)) return null;
+
+    return offeredAlgorithms.find((name) => COMPRESSION_ALGORITHMS.includes(name)) || null;
+  }
+
+  /**
+   * Decodes a received packet. Text frames are always JSON, binary frames are decoded with the
+   * binary codec agreed on for the socket.
+   * @param {string|ArrayBuffer|Uint8Array} packet
+   * @param {object} socket Socket instance.
+   * @returns {object}
+   */
+  decodeMessage(packet, socket) {
+    if (typeof packet === 'string') {
+      return jsonCodec.decode(packet);
+    }
+
+    let codec = this.getCodec(socket);
+
+    if (!codec.binary) {
+      codec = this.preferredCodec.binary ? this.preferredCodec : msgpackCodec;
+    }
+
+    return codec.decode(packet);
+  }
+
+  /**
+   * Writes an encoded message to the socket, compressing it if it's larger than the compression
+   * threshold and the other end has agreed on an algorithm, and chunking it if it's larger than `maxPacketSize`.
+   * @private
+   * @param {object} message Message object
+   * @param {string|Uint8Array} packet Serialized message
+   * @param {object} socket Socket instance
+   * @returns {Promise|undefined} A promise that settles once the message is written, if it couldn't be
+   * written synchronously.
+   */
+  writeMessage(message, packet, socket) {
+    const codec = this.getCodec(socket);
+    const algorithm = this.compression.enabled && this.socketCompressionAlgorithms.get(socket);
+    const shouldCompress = !!algorithm && packet.length >= this.compression.threshold;
+    const pendingWrite = this.pendingWrites.get(socket);
+
+    const write = (envelope, encodedEnvelope) => {
+      if (encodedEnvelope.length > this.maxPacketSize) {
+        this.sendChunked(envelope, encodedEnvelope, socket, codec);
+      } else {
+        socket.send(encodedEnvelope);
+      }
+    };
+
+    if (!shouldCompress && !pendingWrite) {
+      write(message, packet);
+      return;
+    }
+
+    const promise = (pendingWrite || Promise.resolve()).then(async () => {
+      if (!shouldCompress) {
+        write(message, packet);
+        return;
+      }
+
+      const compressed = await compress(packet, algorithm);
+      const { data, ...envelope } = message;
+
+      envelope.compression = algorithm;
+      envelope.payload = codec.binary ? compressed : toBase64(compressed);
+
+      const encodedEnvelope = codec.encode(envelope);
+      write(envelope, encodedEnvelope);
+    });
+
+    const settled = promise.catch(() => {});
+    this.pendingWrites.set(socket, settled);
+    settled.then(() => {
+      if (this.pendingWrites.get(socket) === settled) {
+        this.pendingWrites.delete(socket);
+      }
+    });
+
+    return promise;
+  }
+
+  /**
+   * Decompresses a compressed message. If the message can't be decompressed and it is a request,
+   * a failed response is sent to the caller.
+   * @async
+   * @private
+   * @param {object} message Compressed envelope
+   * @param {object} socket Socket instance
+   * @returns {Promise.<string|Uint8Array|null>} The raw message.
+   */
+  async receiveCompressed(message, socket) {
+    try {
+      const text = typeof message.payload === 'string';
+      const bytes = await decompress(
+        text ? fromBase64(message.payload) : message.payload,
+        message.compression,
+        this.compression.maxSize
+      );
+
+      // Text frames carry JSON, binary frames carry the packets of binary codecs
+      return text ? new TextDecoder().decode(bytes) : bytes;
+    } catch (ex) {
+      (this.logger || console).warn(ex.message);
+
+      if (!NO_RESPONSE_TYPES.includes(message.type)) {
+        await this.sendResponse(socket, message, false, [this.serializeError(ex)]);
+      }
+
+      return null;
+    }
+  }
+
+  /**
+   * Sends a packet larger than `maxPacketSize` in chunks. Each chunk carries the fields of the message
+   * except `data` and `payload`, so it's routed the same way as the message itself.
+   * @private
+   * @param {object} message Message object
+   * @param {string|Uint8Array} packet Serialized message
+   * @param {object} socket Socket instance
+   * @param {Codec} [codec] Codec the packet is encoded with. Defaults to the codec of the socket.
+   */
+  sendChunked(message, packet, socket, codec = this.getCodec(socket)) {
+    const { data, payload, ...envelope } = message;
+    const chunk = { index: 0, total: 0, checksum: checksum(packet) };
+    const overhead = codec.encode({ ...envelope, chunk: { ...chunk, index: packet.length, total: packet.length } }).length;
+
+    // Escaping the payload or encoding it in UTF-8 can triple its size on the wire
+    const chunkSize = Math.floor((this.maxPacketSize - overhead - 16) / 3);
+
+    if (chunkSize < 1) {
+      (this.logger || console).trace(new Error('MAX_WS_PACKET_SIZE'));
+      socket.send(packet);
+      return;
+    }
+
+    chunk.total = Math.ceil(packet.length / chunkSize);
+
+    for (let index = 0; index < chunk.total; index += 1) {
+      socket.send(
+        codec.encode({
+          ...envelope,
+          chunk: { ...chunk, index },
+          payload: packet.slice(index * chunkSize, (index + 1) * chunkSize),
+        })
+      );
+    }
+  }
+
+  /**
+   * Adds a received chunk to the message it belongs to. If the chunk can't be used and the message
+   * is a request, a failed response is sent to the caller.
+   * @async
+   * @private
+   * @param {object} message Chunk envelope
+   * @param {object} socket Socket instance
+   * @returns {Promise.<string|null>} The raw message if all of its chunks have been received.
+   */
+  async receiveChunk(message, socket) {
+    try {
+      return this.chunkAssembler.add(message);
+    } catch (ex) {
+      (this.logger || console).warn(ex.message);
+
+      if (!NO_RESPONSE_TYPES.includes(message.type)) {
+        await this.sendResponse(socket, message, false, [this.serializeError(ex)]);
+      }
+
+      return null;
+    }
+  }
+
+  /**
+   * Waits for the response of a request. Progress reports of the handler are passed to `onProgress`
+   * and restart the timeout.
+   * @private
+   * @param {object} message The request.
+   * @param {number} timeout Timeout in milliseconds.
+   * @param {AbortSignal} [signal]
+   * @param {function} [onProgress]
+   * @returns {Promise.<object, TimeoutError|AbortError>} The response message.
+   */
+  waitForResponse(message, timeout, signal, onProgress) {
+    const eventName = `response::${message.id}`;
+
+    return new Promise((resolve, reject) => {
+      let timer;
+      let onResponse;
+      let onAbort;
+
+      if (signal && signal.aborted) {
+        reject(new AbortError('Aborted.'));
+        return;
+      }
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        this.removeListener(eventName, onResponse);
+
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+
+      const startTimer = () => {
+        clearTimeout(timer);
+
+        if (timeout) {
+          timer = setTimeout(() => {
+            cleanup();
+            reject(new TimeoutError('Timeout exceeded.'));
+          }, timeout);
+        }
+      };
+
+      // A persistent listener, a progress report and the response may be emitted in the same tick
+      onResponse = (responseMessage) => {
+        if (responseMessage && responseMessage.progress) {
+          startTimer();
+
+          if (onProgress) {
+            try {
+              onProgress(...responseMessage.data);
+            } catch (ex) {
+              (this.logger || console).warn(ex);
+            }
+          }
+
+          return;
+        }
+
+        cleanup();
+        resolve(responseMessage);
+      };
+
+      onAbort = () => {
+        cleanup();
+        reject(new AbortError('Aborted.'));
+      };
+
+      this.on(eventName, onResponse);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+
+      startTimer();
+    });
+  }
+
+  /**
+   * Sends a request and sends it again with a new id when it fails with a retryable error.
+   * @async
+   * @private
+   * @param {object} message Message object
+   * @param {object} retry Retry policy
+   * @param {number} retry.attempts Maximum number of attempts, including the first one.
+   * @param {number|function} retry.backoff Milliseconds to wait before the next attempt, or a function that
+   * receives the number of the failed attempt and returns the milliseconds.
+   * @param {string[]|function} retry.retryOn Retryable error codes, or a function that receives the error and
+   * returns `true` if the request should be retried.
+   * @returns {Promise.<array, Error>}
+   */
+  async sendMessageWithRetry(message, retry) {
+    const { attempts, backoff, retryOn } = retry;
+    const logger = this.logger || console;
+
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await this.sendMessage({ ...message });
+      } catch (ex) {
+        const retryable = typeof retryOn === 'function' ? retryOn(ex) : retryOn.includes(ex.code);
+
+        if (attempt >= attempts || !retryable) {
+          if (attempt > 1) {
+            ex.attempts = attempt;
+            ex.message = `${ex.message} (failed after ${attempt} attempts)`;
+          }
+
+          throw ex;
+        }
+
+        const delay = typeof backoff === 'function' ? backoff(attempt) : backoff;
+        logger.warn(`${message.type} attempt ${attempt}/${attempts} has failed (${ex.message}), retrying in ${delay}ms.`);
+
+        // Aborting during the backoff rejects right away, without another attempt
+        await new Promise((resolve, reject) => {
+          const { signal } = message;
+          let timer;
+
+          const onAbort = () => {
+            clearTimeout(timer);
+            reject(new AbortError(`${message.type} is aborted.`));
+          };
+
+          if (signal && signal.aborted) {
+            onAbort();
+            return;
+          }
+
+          timer = setTimeout(() => {
+            if (signal) {
+              signal.removeEventListener('abort', onAbort);
+            }
+
+            resolve();
+          }, delay);
+
+          if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * Tells the target of an aborted request that the caller is not waiting for the response anymore.
+   * @private
+   * @param {object} message The aborted request.
+   * @param {object} socket Socket instance.
+   */
+  sendCancel(message, socket) {
+    this.sendMessage(
+      {
+        type: 'cancel',
+        requestId: message.id,
+        targetModuleName: message.targetModuleName,
+      },
+      socket
+    ).catch((err) => {
+      const logger = this.logger || console;
+      logger.debug(`Couldn't cancel ${message.type}: ${err.message}`);
+    });
+  }
+
   /**
    * Send a ping request.
    * @param {string} targetModuleName
@@ -477,6 +1617,7 @@ export default class BrokerBase extends EventEmitter {
    * @param {array} args
    * @param {string} vendorName
    * @param {string} moduleName
+   * @returns {Promise|undefined} A promise if the event is acknowledged, see `emitAcknowledged()`.
    */
   emitMessage(args, vendorName, moduleName, options = {}) {
     const eventName = args.shift();
@@ -486,13 +1627,25 @@ export default class BrokerBase extends EventEmitter {
     }
 
     const fullyQualifiedName = `${vendorName}.${moduleName}.${eventName}`;
+    this.emittedEvents.add(eventName);
 
-    this.sendMessage({
+    const message = {
       type: 'event',
       eventName: fullyQualifiedName,
       data: args,
       excludedClients: options.excludedClients || [],
-    }).catch((err) => {
+      offline: options.offline,
+    };
+
+    if (options.acknowledge) {
+      return this.emitAcknowledged(message, {
+        timeout: options.acknowledge.timeout || options.timeout,
+        expect: options.acknowledge.expect,
+        signal: options.signal,
+      });
+    }
+
+    this.sendMessage(message).catch((err) => {
       console.error(`Couldn't emit ${fullyQualifiedName}`);
 
       if (err.code !== 'TIMEOUT') {
@@ -501,7 +1654,123 @@ export default class BrokerBase extends EventEmitter {
     });
   }
 
+  /**
+   * Emits an event and collects the acknowledgements of the subscribers. The event carries an `ackId`,
+   * the modules that have handlers for it answer with a response to that id once the handlers are done.
+   * @private
+   * @param {object} message The event message.
+   * @param {object} options Options
+   * @param {number} options.timeout Milliseconds to collect the acknowledgements for.
+   * @param {string[]} [options.expect] Modules that are expected to acknowledge the event. The promise
+   * resolves as soon as all of them have answered, the ones that haven't answered in time are reported
+   * as failed.
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise.<{ handled: string[], failed: { moduleName: string, error: BrokerError }[] }, Error>}
+   */
+  emitAcknowledged(message, options) {
+    const { timeout, expect = [], signal } = options;
+    const ackId = uuid();
+    const responseEvent = `response::${ackId}`;
+    const answered = new Set();
+    const handled = [];
+    const failed = [];
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let timer;
+      let onResponse;
+      let onAbort;
+
+      if (signal && signal.aborted) {
+        reject(new AbortError(`${message.eventName} is aborted.`));
+        return;
+      }
+
+      const finish = (error) => {
+        if (settled) return;
+
+        settled = true;
+        clearTimeout(timer);
+        this.removeListener(responseEvent, onResponse);
+
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+
+        if (error) {
+          reject(error);
+          return;
+        }
+
+        for (const moduleName of expect) {
+          if (!answered.has(moduleName)) {
+            failed.push({
+              moduleName,
+              error: new BrokerTimeoutError(
+                `${moduleName} has not acknowledged ${message.eventName} in ${timeout} milliseconds.`,
+                { messageType: message.type, targetModuleName: moduleName, elapsed: timeout }
+              ),
+            });
+          }
+        }
+
+        resolve({ handled, failed });
+      };
+
+      onResponse = (response) => {
+        const { moduleName } = response;
+
+        if (answered.has(moduleName)) return;
+
+        answered.add(moduleName);
+
+        if (response.success) {
+          handled.push(moduleName);
+        } else {
+          const defaults = {
+            error: `${moduleName} has failed to handle ${message.eventName}.`,
+            code: 'EVENT_HANDLER_FAILED',
+            moduleName,
+          };
+          const [errorData] = response.data instanceof Array ? response.data : [];
+
+          failed.push({
+            moduleName,
+            error:
+              errorData && errorData.error
+                ? BrokerError.fromJSON(errorData, defaults)
+                : new BrokerError(defaults.error, defaults),
+          });
+        }
+
+        if (expect.length && expect.every((expected) => answered.has(expected))) {
+          finish();
+        }
+      };
+
+      onAbort = () => finish(new AbortError(`${message.eventName} is aborted.`));
+
+      this.on(responseEvent, onResponse);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+
+      // The timeout starts once the event is sent, the offline queue may hold it for a while
+      this.sendMessage({ ...message, ackId }).then(
+        () => {
+          if (!settled) {
+            timer = setTimeout(() => finish(), timeout);
+          }
+        },
+        (err) => finish(err)
+      );
+    });
+  }
+
   destroy() {
+    this.chunkAssembler.clear();
+    this.emit('destroy');
     this.removeAllListeners();
   }
 }
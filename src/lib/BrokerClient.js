@@ -17,9 +17,16 @@
 import { v4 as uuid } from 'uuid';
 import BrokerBase from './BrokerBase.js';
 import BrokerError from './BrokerError.js';
+import BrokerTimeoutError from './BrokerTimeoutError.js';
 import RawRequest from './RawRequest.js';
+import ReconnectPolicy from './ReconnectPolicy.js';
+import OfflineQueue from './OfflineQueue.js';
+import ModulePresence from './ModulePresence.js';
+import MiddlewarePipeline from './MiddlewarePipeline.js';
 import consoleLogger from './consoleLogger.js';
-import onceMultiple from './onceMultiple.js';
+import onceMultiple, { AbortError } from './onceMultiple.js';
+import toAsyncIterable from './toAsyncIterable.js';
+import { isEventPattern } from './EventPatternSet.js';
 import WebSocket from 'ws';
 
 const WS = typeof window !== 'undefined' ? window.WebSocket : WebSocket;
@@ -32,6 +39,16 @@ export default class BrokerClient extends BrokerBase {
    * @param {string} [params.moduleName] Module name
    * @param {number} [params.maxPacketSize] Maximum websocket packet size
    * @param {Logger} [params.logger] Logger instance
+   * @param {object|boolean} [params.reconnect] Reconnection policy (see `ReconnectPolicy`). Set to `false` to
+   * disable reconnecting.
+   * @param {object} [params.offlineQueue] Enables queueing outgoing messages while disconnected (see `OfflineQueue`).
+   * @param {object} [params.heartbeat] Enables pinging the server periodically to detect dead connections.
+   * @param {number} [params.heartbeat.interval=5000] Milliseconds between pings. A ping that is not answered
+   * within this interval is counted as missed.
+   * @param {number} [params.heartbeat.missThreshold=3] Consecutive missed pings after which the connection is
+   * considered dead and a reconnect is forced.
+   * @param {string[]} [params.dependencies] Modules this module depends on (`vendor.module`). API calls to a
+   * dependency wait until it's online, within the timeout of the call.
    * @param {boolean} [params.isDuplicate] [Private property, used internally]
    * @param {boolean} [params.parent] [Private property, used internally]
    */
@@ -52,6 +69,11 @@ export default class BrokerClient extends BrokerBase {
     this.ssl = params.ssl;
     this.duplicates = new Set();
 
+    // Duplicates share the socket of their parent, so the parent's middleware apply to their messages too
+    if (this.isDuplicate) {
+      this.middleware = new MiddlewarePipeline(this.parent.middleware);
+    }
+
     // moduleName of the server (will be set when we receive a ping message)
     this.serverModuleName = null;
 
@@ -64,9 +86,60 @@ export default class BrokerClient extends BrokerBase {
      */
     this.registrars = new Set();
 
+    /**
+     * AbortControllers of the API requests that are being handled, keyed by request id.
+     * @type {Map<string, AbortController>}
+     */
+    this.activeRequests = new Map();
+
+    /**
+     * Methods every module answers without registering them, keyed by method name. Handlers registered
+     * with the same name take precedence.
+     * @type {Map<string, function>}
+     */
+    this.builtInHandlers = new Map([
+      ['schemas', () => this.getAPISchemas()],
+      ['describe', () => this.describe()],
+    ]);
+
+    /**
+     * Modules that are known to be online. Updated with the `moduleconnect` and `moduledisconnect` events of
+     * the server. Duplicates share the presence of their parent.
+     * @type {ModulePresence}
+     */
+    this.presence = this.isDuplicate ? this.parent.presence : new ModulePresence();
+
+    /**
+     * @type {Set<string>}
+     */
+    this.dependencies = new Set(params.dependencies || []);
+
     this.webSocketURL = params.webSocketURL;
     this.connected = false;
 
+    this.reconnectPolicy = new ReconnectPolicy(params.reconnect);
+    this.reconnectTimer = null;
+
+    this.offlineQueueOptions = params.offlineQueue;
+    this.offlineQueue = params.offlineQueue ? new OfflineQueue(params.offlineQueue) : null;
+
+    this.heartbeatOptions = params.heartbeat
+      ? {
+          interval: 5000,
+          missThreshold: 3,
+          ...params.heartbeat,
+        }
+      : null;
+    this.heartbeatTimer = null;
+    this.heartbeatInFlight = false;
+    this.missedHeartbeats = 0;
+
+    /**
+     * Round-trip time of the last heartbeat in milliseconds.
+     * @type {number}
+     */
+    this.latency = NaN;
+
     if (this.isDuplicate) {
       this.connected = this.isConnected();
     }
@@ -104,6 +177,8 @@ export default class BrokerClient extends BrokerBase {
   connect(options) {
     if (this.isDuplicate) return;
 
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
     this.connectOptions = options;
     let url;
 
@@ -130,6 +205,8 @@ export default class BrokerClient extends BrokerBase {
       this.socket = new WS(webSocketURL);
     }
 
+    this.socket.binaryType = 'arraybuffer';
+
     this.addSocketListeners();
   }
 
@@ -138,6 +215,7 @@ export default class BrokerClient extends BrokerBase {
    * @param {object} params Parameters
    * @param {string} params.moduleName Module name of the duplicate BrokerClient (a duplicate
    * can have a different name than its parent)
+   * @param {string[]} [params.dependencies] Modules the duplicate depends on.
    * @returns {BrokerClient}
    */
   duplicate(params) {
@@ -152,6 +230,12 @@ export default class BrokerClient extends BrokerBase {
         isDuplicate: true,
         webSocketURL: this.webSocketURL,
         logger: this.logger,
+        offlineQueue: this.offlineQueueOptions,
+        legacyTimeouts: this.legacyTimeouts,
+        exposeErrorStack: this.exposeErrorStack,
+        codec: this.preferredCodec,
+        compression: this.compressionOptions,
+        dependencies: params.dependencies,
         moduleName,
       });
     } else {
@@ -161,6 +245,12 @@ export default class BrokerClient extends BrokerBase {
         isDuplicate: true,
         webSocketURL: this.webSocketURL,
         logger: this.logger,
+        offlineQueue: this.offlineQueueOptions,
+        legacyTimeouts: this.legacyTimeouts,
+        exposeErrorStack: this.exposeErrorStack,
+        codec: this.preferredCodec,
+        compression: this.compressionOptions,
+        dependencies: params.dependencies,
         moduleName,
       });
     }
@@ -193,7 +283,11 @@ export default class BrokerClient extends BrokerBase {
    * @private
    */
   ping() {
-    return this.sendMessage({ type: 'ping' });
+    return this.sendMessage({
+      type: 'ping',
+      codecs: this.getOfferedCodecs(),
+      compressionAlgorithms: this.getOfferedCompressionAlgorithms(),
+    });
   }
 
   /**
@@ -214,7 +308,7 @@ export default class BrokerClient extends BrokerBase {
 
   /**
    * Handles incoming messages.
-   * @param {string} rawMessage Raw message
+   * @param {string|ArrayBuffer|Uint8Array} rawMessage Raw message
    * @async
    * @private
    */
@@ -222,11 +316,42 @@ export default class BrokerClient extends BrokerBase {
     let message;
 
     try {
-      message = JSON.parse(rawMessage);
       const socket = this.isDuplicate ? this.parent.getSocket() : this.socket;
+      message = this.decodeMessage(rawMessage, socket);
+
+      if (message.chunk) {
+        const assembledMessage = await this.receiveChunk(message, socket);
+
+        if (assembledMessage) {
+          await this.handleMessage(assembledMessage);
+        }
+
+        return;
+      }
+
+      if (message.compression) {
+        const decompressedMessage = await this.receiveCompressed(message, socket);
+
+        if (decompressedMessage) {
+          await this.handleMessage(decompressedMessage);
+        }
+
+        return;
+      }
 
       switch (message.type) {
         case 'response': {
+          // The other end has agreed on a codec or a compression algorithm offered in our ping
+          if (this.negotiations.delete(message.requestId)) {
+            if (message.codec) {
+              this.setCodec(socket, message.codec);
+            }
+
+            if (message.compressionAlgorithm) {
+              this.setCompressionAlgorithm(socket, message.compressionAlgorithm);
+            }
+          }
+
           this.emit(`response::${message.requestId}`, message);
 
           // Send the response to other duplicates (if we are parent)
@@ -240,18 +365,28 @@ export default class BrokerClient extends BrokerBase {
         }
 
         case 'event': {
-          // Run previously registered event handlers
-          for (const [subscribedEvent, entries] of this.events.entries()) {
-            if (subscribedEvent === message.eventName) {
-              for (const entry of entries) {
-                try {
-                  entry.eventHandler(...message.data);
-                } catch (ex) {
-                  this.logger.warn(ex);
-                } finally {
-                  if (entry.once) {
-                    this.unsubscribeFromAPIEvent(subscribedEvent, entry.eventHandler);
-                  }
+          // Run previously registered event handlers, the exact subscription first and then the patterns
+          const patterns = this.eventPatterns.match(message.eventName);
+          const shortEventName = message.eventName.split('.').slice(2).join('.');
+          const results = [];
+
+          for (const subscribedEvent of [message.eventName, ...patterns]) {
+            const entries = this.events.get(subscribedEvent) || [];
+            const args = subscribedEvent === message.eventName ? message.data : [shortEventName, ...message.data];
+
+            for (const entry of entries) {
+              try {
+                results.push(entry.eventHandler(...args));
+              } catch (ex) {
+                this.logger.warn(ex);
+
+                if (message.ackId) {
+                  results.push(Promise.reject(ex));
+                }
+              } finally {
+                // Keeps the subscription on the server while other handlers listen to the event
+                if (entry.once) {
+                  this.removeAPIEventHandler(subscribedEvent, entry.eventHandler);
                 }
               }
             }
@@ -264,6 +399,11 @@ export default class BrokerClient extends BrokerBase {
             }
           }
 
+          // The emitter waits for the modules that have handled the event
+          if (message.ackId && results.length) {
+            await this.acknowledgeEvent(socket, message, results);
+          }
+
           break;
         }
 
@@ -273,7 +413,7 @@ export default class BrokerClient extends BrokerBase {
           const targetModuleName = [vendor, moduleName].join('.');
 
           if (this.moduleName === targetModuleName) {
-            this.emit('subscribe', { eventName });
+            this.emit('subscribe', { eventName, pattern: !!message.pattern });
             await this.sendResponse(socket, message, true);
           } else {
             // Check if the target is one of the duplicates (if we are parent)
@@ -289,6 +429,8 @@ export default class BrokerClient extends BrokerBase {
             await this.sendResponse(socket, message, false, [
               {
                 error: `${message.eventName} sent to ${this.moduleName}. This is probably a mistake.`,
+                code: 'WRONG_TARGET',
+                moduleName: this.moduleName,
               },
             ]);
           }
@@ -302,7 +444,7 @@ export default class BrokerClient extends BrokerBase {
           const targetModuleName = [vendor, moduleName].join('.');
 
           if (this.moduleName === targetModuleName) {
-            this.emit('unsubscribe', { eventName });
+            this.emit('unsubscribe', { eventName, pattern: !!message.pattern });
             await this.sendResponse(socket, message, true);
           } else {
             // Check if the target is one of the duplicates (if we are parent)
@@ -318,6 +460,8 @@ export default class BrokerClient extends BrokerBase {
             await this.sendResponse(socket, message, false, [
               {
                 error: `${message.eventName} sent to ${this.moduleName}. This is probably a mistake.`,
+                code: 'WRONG_TARGET',
+                moduleName: this.moduleName,
               },
             ]);
           }
@@ -337,14 +481,39 @@ export default class BrokerClient extends BrokerBase {
             }
           }
 
+          const codec = message.codecs ? this.negotiateCodec(message.codecs) : null;
+          const compressionAlgorithm = this.negotiateCompressionAlgorithm(message.compressionAlgorithms);
+          const response = this.sendResponse(socket, message, true, [], false, {
+            ...(codec ? { codec } : {}),
+            ...(compressionAlgorithm ? { compressionAlgorithm } : {}),
+          });
+
+          if (codec) {
+            this.setCodec(socket, codec);
+          }
+
+          if (compressionAlgorithm) {
+            this.setCompressionAlgorithm(socket, compressionAlgorithm);
+          }
+
+          // The server hasn't offered what we want to use, offer ours
+          if (
+            !this.isDuplicate &&
+            ((!codec && this.getOfferedCodecs()) || (!compressionAlgorithm && this.getOfferedCompressionAlgorithms()))
+          ) {
+            this.ping().catch((ex) => this.logger.debug(`Couldn't offer codecs: ${ex.message}`));
+          }
+
           await Promise.all([
-            this.sendResponse(socket, message, true),
+            response,
             this.resubscribeModuleEvents(),
             this.subscribeToAPIEvent(`${message.moduleName}.moduleconnect`, ({ moduleName }) => {
+              this.presence.add(moduleName);
               this.emit('moduleconnect', { moduleName });
               this.resubscribeModuleEvents();
             }),
             this.subscribeToAPIEvent(`${message.moduleName}.moduledisconnect`, ({ moduleName }) => {
+              this.presence.remove(moduleName);
               this.emit('moduledisconnect', { moduleName });
             }),
           ]);
@@ -352,42 +521,102 @@ export default class BrokerClient extends BrokerBase {
           break;
         }
 
-        default: {
-          if (!this.apiHandlers.has(message.type)) {
-            await this.sendResponse(socket, message, false, [
-              {
-                error: `There is no handler registered for this type of message: ${message.type}`,
-              },
-            ]);
+        case 'streamack': {
+          this.emit(`streamack::${message.requestId}`, message);
+
+          // The stream might be sent by one of the duplicates (if we are parent)
+          if (!this.isDuplicate) {
+            for (const duplicate of this.duplicates) {
+              duplicate.handleMessage(rawMessage);
+            }
+          }
+
+          break;
+        }
+
+        case 'cancel': {
+          const controller = this.activeRequests.get(message.requestId);
+
+          if (controller) {
+            controller.abort();
             return;
           }
 
-          const { messageHandler, relay } = this.apiHandlers.get(message.type);
+          // The request might be handled by one of the duplicates (if we are parent)
+          if (!this.isDuplicate) {
+            for (const duplicate of this.duplicates) {
+              duplicate.handleMessage(rawMessage);
+            }
+          }
+
+          break;
+        }
+
+        default: {
+          const controller = new AbortController();
+          const context = { message };
+          let relay = false;
+
+          this.activeRequests.set(message.id, controller);
 
           try {
-            let responseMessage = await messageHandler(...message.data);
-
-            if (responseMessage instanceof RawRequest) {
-              const rawRequest = responseMessage;
-              rawRequest.setAncillaryData({
-                ...message.ancillaryData,
-                caller: {
-                  moduleName: message.moduleName,
-                },
-              });
-              responseMessage = await rawRequest.call(...message.data);
+            let responseMessage = await this.middleware.run('incomingRequest', context, () => {
+              const request = context.message;
+
+              if (request.batch) {
+                return this.handleBatch(socket, request, controller.signal);
+              }
+
+              const handler = this.getAPIHandler(request.type);
+
+              if (!handler) {
+                throw new BrokerError(`There is no handler registered for this type of message: ${request.type}`, {
+                  code: 'NO_HANDLER',
+                  moduleName: this.moduleName,
+                });
+              }
+
+              this.validateAPIArguments(request.type, handler, request.data);
+              relay = handler.relay;
+
+              return this.callAPIHandler(socket, request, handler, request.data, controller.signal);
+            });
+
+            // The caller has given up, there is no one to respond to
+            if (controller.signal.aborted) return;
+
+            const iterable = toAsyncIterable(responseMessage);
+
+            if (iterable && message.stream) {
+              await this.sendResponseStream(socket, message, iterable, relay, controller.signal);
+              return;
+            }
+
+            if (iterable) {
+              // The caller doesn't support streaming, send all of the chunks at once
+              responseMessage = [];
+
+              for await (const chunk of iterable) {
+                responseMessage.push(chunk);
+              }
             }
 
             await this.sendResponse(socket, message, true, responseMessage, relay);
           } catch (ex) {
+            if (controller.signal.aborted) {
+              this.logger.debug(`${message.type} is cancelled by ${message.moduleName}`);
+              return;
+            }
+
             if (ex instanceof BrokerError) {
               this.logger.error(ex.message);
-              await this.sendResponse(socket, message, false, [{ error: ex.message }], relay);
-              return;
+            } else {
+              this.logger.trace(ex);
             }
 
-            this.logger.trace(ex);
-            await this.sendResponse(socket, message, false, [{ error: 'ERROR' }], relay);
+            await this.sendResponse(socket, message, false, [this.serializeError(ex)], relay);
+          } finally {
+            this.activeRequests.delete(message.id);
           }
 
           break;
@@ -405,33 +634,278 @@ export default class BrokerClient extends BrokerBase {
   }
 
   /**
-   * Sends a message.
+   * Sends a message. Messages other than responses go through the `outgoingRequest` middleware first.
    * @async
-   * @param {object} message
+   * @param {object} message Message object. See `transmitMessage()` for the options it can have.
    * @returns {Promise.<Array, Error>}
    */
   async sendMessage(message) {
+    // Responses have their own hook, see `sendResponse()`
+    if (message.type === 'response') {
+      return this.transmitMessage(message);
+    }
+
+    const { targetModuleName, type } = message;
+
+    // API calls to a dependency wait until it's online. Other messages are not held, and neither are the
+    // messages sent while disconnected so the offline policy applies to them.
+    if (
+      this.dependencies.has(targetModuleName) &&
+      typeof type === 'string' &&
+      type.startsWith(`${targetModuleName}.`) &&
+      this.isConnected()
+    ) {
+      const timeout = message.timeout || this.messageTimeout;
+      const start = Date.now();
+
+      try {
+        await this.waitForModule(targetModuleName, { timeout, signal: message.signal });
+      } catch (ex) {
+        if (ex.code !== 'TIMEOUT') throw ex;
+
+        throw new BrokerTimeoutError(`${targetModuleName} is not online, ${type} has timed out.`, {
+          messageType: type,
+          targetModuleName,
+          elapsed: timeout,
+        });
+      }
+
+      // The wait and the call share the timeout of the call
+      const elapsed = Date.now() - start;
+
+      if (elapsed >= timeout) {
+        throw new BrokerTimeoutError(`${type} has timed out after ${elapsed} milliseconds.`, {
+          messageType: type,
+          targetModuleName,
+          elapsed,
+        });
+      }
+
+      message = { ...message, timeout: timeout - elapsed };
+    }
+
+    const context = { message };
+    return this.middleware.run('outgoingRequest', context, () => this.transmitMessage(context.message));
+  }
+
+  /**
+   * Returns the modules that are known to be online, sorted by name. Modules are known once the server
+   * announces them with a `moduleconnect` event or `waitForModule()` finds them online.
+   * @returns {{ moduleName: string, connectedAt: number }[]} `connectedAt` is the time the module was
+   * announced or found.
+   */
+  getOnlineModules() {
+    return this.presence.list();
+  }
+
+  /**
+   * @param {string} moduleName `vendor.module`
+   * @returns {boolean}
+   */
+  isModuleOnline(moduleName) {
+    return this.presence.has(moduleName);
+  }
+
+  /**
+   * Waits until a module is online. A module that has connected before this client is not announced by the
+   * server, so the module is also asked periodically whether it's online.
+   * @async
+   * @param {string} moduleName `vendor.module`
+   * @param {object} [options] Options
+   * @param {number} [options.timeout=60000] Milliseconds to wait. `0` waits without a time limit.
+   * @param {number} [options.probeInterval=1000] Milliseconds between asking the module whether it's online.
+   * @param {AbortSignal} [options.signal] Stops waiting.
+   * @returns {Promise.<{ moduleName: string, connectedAt: number }, BrokerTimeoutError|AbortError>}
+   */
+  waitForModule(moduleName, options = {}) {
+    const { timeout = 60 * 1000, probeInterval = 1000, signal } = options;
+    const eventName = `online::${moduleName}`;
+
+    if (this.presence.has(moduleName)) {
+      return Promise.resolve(this.presence.get(moduleName));
+    }
+
+    return new Promise((resolve, reject) => {
+      const start = Date.now();
+      let timer;
+      let probeTimer;
+      let settled = false;
+
+      const finish = (error, entry) => {
+        settled = true;
+        clearTimeout(timer);
+        clearTimeout(probeTimer);
+        this.presence.removeListener(eventName, onOnline);
+
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+
+        if (error) {
+          reject(error);
+        } else {
+          resolve(entry);
+        }
+      };
+
+      const onOnline = (entry) => finish(null, entry);
+      const onAbort = () => finish(new AbortError(`Waiting for ${moduleName} is aborted.`));
+
+      const probe = async () => {
+        const online = await this.probeModule(moduleName, probeInterval);
+
+        if (settled) return;
+
+        if (online) {
+          this.presence.add(moduleName);
+        } else {
+          probeTimer = setTimeout(probe, probeInterval);
+        }
+      };
+
+      if (signal && signal.aborted) {
+        onAbort();
+        return;
+      }
+
+      this.presence.on(eventName, onOnline);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+
+      if (timeout) {
+        timer = setTimeout(() => {
+          finish(
+            new BrokerTimeoutError(`${moduleName} has not come online in ${timeout} milliseconds.`, {
+              messageType: `${moduleName}.describe`,
+              targetModuleName: moduleName,
+              elapsed: Date.now() - start,
+            })
+          );
+        }, timeout);
+      }
+
+      probe();
+    });
+  }
+
+  /**
+   * Waits until all of the dependencies are online.
+   * @async
+   * @param {object} [options] Options of `waitForModule()`
+   * @returns {Promise.<{ moduleName: string, connectedAt: number }[]>}
+   */
+  waitForDependencies(options) {
+    return Promise.all(Array.from(this.dependencies, (moduleName) => this.waitForModule(moduleName, options)));
+  }
+
+  /**
+   * Asks a module whether it's online by calling its built-in `describe` method. Only an answer of the module
+   * itself counts: its description, or the "no handler" error of a module that doesn't have the method. Other
+   * errors may come from RealityHub on behalf of a module that is not connected.
+   * @async
+   * @private
+   * @param {string} moduleName
+   * @param {number} timeout
+   * @returns {Promise.<boolean>}
+   */
+  async probeModule(moduleName, timeout) {
+    if (!this.isConnected()) return false;
+
+    const socket = this.isDuplicate ? this.parent.getSocket() : this.socket;
+    const type = `${moduleName}.describe`;
+
+    try {
+      // Sent without the dependency wait and the middleware
+      const description = await super.sendMessage({ type, targetModuleName: moduleName, data: [], timeout }, socket, false, {
+        silent: true,
+      });
+
+      return !!description && description.moduleName === moduleName;
+    } catch (ex) {
+      // A module that doesn't have the method answers `NO_HANDLER` with its own name. RealityHub answers with
+      // its name for a module that is not connected.
+      if (ex.code === 'NO_HANDLER') {
+        return ex.moduleName === moduleName;
+      }
+
+      // Older modules send the error without a code, only their message tells what has happened
+      return ex.message === `There is no handler registered for this type of message: ${type}`;
+    }
+  }
+
+  /**
+   * Sends a message through the socket, or holds it according to the offline policy if the socket is not open.
+   * @async
+   * @private
+   * @param {object} message
+   * @param {'queue'|'drop'|'reject'} [message.offline] What to do with the message if the socket is not open.
+   * `queue` requires the `offlineQueue` option. If not provided, messages are queued when the `offlineQueue`
+   * option is set, otherwise the socket is awaited until the message times out.
+   * @param {AbortSignal} [message.signal] Aborts the request.
+   * @param {function} [message.onProgress] Receives the progress reported by the handler.
+   * @returns {Promise.<Array, Error>}
+   */
+  async transmitMessage(message) {
     const id = uuid();
     const socket = this.isDuplicate ? this.parent.getSocket() : this.socket;
-    const webSocketMessage = Object.assign({}, message, {
+    const { offline, signal, onProgress, ...rest } = message;
+    const webSocketMessage = Object.assign({}, rest, {
       id,
       time: new Date().valueOf(),
       moduleName: this.moduleName,
     });
 
-    if (socket.readyState !== WS.OPEN) {
-      try {
-        await onceMultiple(this, ['connect'], webSocketMessage.timeout || this.messageTimeout);
-      } catch (ex) {
-        console.error(`Timeout: Socket is not ready`);
-        throw ex;
+    if (!socket || socket.readyState !== WS.OPEN) {
+      const policy = offline || (this.offlineQueue ? 'queue' : null);
+
+      switch (policy) {
+        case 'queue': {
+          if (!this.offlineQueue) {
+            throw new BrokerError(`${webSocketMessage.type} cannot be queued, offlineQueue is not enabled.`, {
+              code: 'OFFLINE_QUEUE_DISABLED',
+            });
+          }
+
+          return this.offlineQueue.enqueue(webSocketMessage, { signal, onProgress });
+        }
+
+        case 'drop': {
+          this.logger.debug(`${this.moduleName} dropped ${webSocketMessage.type}, socket is not ready`);
+          return;
+        }
+
+        case 'reject': {
+          throw new BrokerError(`Socket is not ready, ${webSocketMessage.type} is rejected.`, { code: 'NOT_CONNECTED' });
+        }
+
+        default: {
+          const start = Date.now();
+
+          try {
+            await onceMultiple(this, ['connect'], webSocketMessage.timeout || this.messageTimeout, signal);
+          } catch (ex) {
+            if (ex instanceof AbortError) throw ex;
+
+            console.error(`Timeout: Socket is not ready`);
+            throw new BrokerTimeoutError(`Socket is not ready, ${webSocketMessage.type} has timed out.`, {
+              messageType: webSocketMessage.type,
+              targetModuleName: webSocketMessage.targetModuleName,
+              elapsed: Date.now() - start,
+            });
+          }
+        }
       }
     }
 
     let ret;
 
     try {
-      ret = super.sendMessage(webSocketMessage, socket);
+      ret = super.sendMessage(webSocketMessage, this.isDuplicate ? this.parent.getSocket() : this.socket, false, {
+        signal,
+        onProgress,
+      });
     } catch (ex) {
       console.error(`BrokerBase::sendMessage throwed an exception`);
       throw ex;
@@ -440,6 +914,267 @@ export default class BrokerClient extends BrokerBase {
     return ret;
   }
 
+  /**
+   * Answers an event emitted with `$acknowledge()` once its handlers are done. The response is sent to
+   * the `ackId` of the event, it fails with the error of the first handler that has failed.
+   * @async
+   * @private
+   * @param {object} socket Socket instance.
+   * @param {object} message The event.
+   * @param {array} results Return values of the handlers. Promises are awaited.
+   */
+  async acknowledgeEvent(socket, message, results) {
+    let success = true;
+    let data = [];
+
+    try {
+      await Promise.all(results);
+    } catch (ex) {
+      success = false;
+      data = [this.serializeError(ex)];
+    }
+
+    try {
+      await this.sendResponse(socket, message, success, data, false, { requestId: message.ackId });
+    } catch (ex) {
+      this.logger.debug(`Couldn't acknowledge ${message.eventName}: ${ex.message}`);
+    }
+  }
+
+  /**
+   * Reports the progress of an API request to its caller. Does nothing if the caller is not
+   * interested in the progress or has cancelled the request.
+   * @private
+   * @param {object} socket Socket instance.
+   * @param {object} message The request being handled.
+   * @param {array} data Progress payload
+   * @param {boolean} relay
+   * @param {AbortSignal} signal
+   */
+  sendProgress(socket, message, data, relay, signal) {
+    if (!message.progress || signal.aborted) return;
+
+    Promise.resolve(this.sendResponse(socket, message, true, data, relay, { progress: true })).catch((ex) => {
+      this.logger.debug(`Couldn't report the progress of ${message.type}: ${ex.message}`);
+    });
+  }
+
+  /**
+   * Returns the registered or built-in handler of a message type.
+   * @private
+   * @param {string} messageType
+   * @returns {{ messageHandler: function, relay: boolean, schema: object|null, requestContext: boolean }|undefined}
+   */
+  getAPIHandler(messageType) {
+    if (this.apiHandlers.has(messageType)) {
+      return this.apiHandlers.get(messageType);
+    }
+
+    const prefix = `${this.moduleName}.`;
+    const builtInHandler =
+      typeof messageType === 'string' &&
+      messageType.startsWith(prefix) &&
+      this.builtInHandlers.get(messageType.slice(prefix.length));
+
+    if (builtInHandler) {
+      return { messageHandler: builtInHandler, relay: false, schema: null, requestContext: false };
+    }
+  }
+
+  /**
+   * Calls an API handler. Handlers registered with the `requestContext` option receive the request context
+   * after the arguments of the call. If the handler returns a `RawRequest`, the request context is passed to
+   * it as ancillary data.
+   * @private
+   * @param {object} socket
+   * @param {object} message The request.
+   * @param {object} handler An entry of `apiHandlers`, see `getAPIHandler()`.
+   * @param {Array} args
+   * @param {AbortSignal} signal Aborted when the caller cancels the request.
+   * @returns {Promise.<*>} The result of the handler.
+   */
+  async callAPIHandler(socket, message, handler, args, signal) {
+    const { messageHandler, relay, requestContext } = handler;
+    const context = {
+      ...message.ancillaryData,
+      caller: {
+        moduleName: message.moduleName,
+      },
+      signal,
+      progress: (...progress) => this.sendProgress(socket, message, progress, relay, signal),
+    };
+    const result = await (requestContext ? messageHandler(...args, context) : messageHandler(...args));
+
+    if (!(result instanceof RawRequest)) return result;
+
+    result.setAncillaryData(context);
+
+    return result.call(...args);
+  }
+
+  /**
+   * Handles a batch of requests sent with `$batch()`. The calls are run in order, each through the
+   * `incomingRequest` middleware, and the result of each call is collected. In an atomic batch, the calls
+   * after the first failure are not run.
+   * @private
+   * @param {object} socket
+   * @param {object} message The batch request. `message.data` holds the calls.
+   * @param {AbortSignal} signal Aborted when the caller cancels the batch.
+   * @returns {Promise.<object[]>} The results of the calls, to be sent in a single response.
+   */
+  async handleBatch(socket, message, signal) {
+    const calls = message.data instanceof Array ? message.data : [];
+    const { atomic } = message.batch;
+    const results = [];
+    let failedType = null;
+
+    for (const [index, call] of calls.entries()) {
+      if (signal.aborted) return;
+
+      if (failedType) {
+        results.push({
+          success: false,
+          error: {
+            error: `${call && call.type} is skipped because ${failedType} has failed.`,
+            code: 'BATCH_SKIPPED',
+            moduleName: this.moduleName,
+          },
+        });
+        continue;
+      }
+
+      // Each call goes through the middleware as a request of its own, which has the id of the batch
+      const { batch, ...batchMessage } = message;
+      const context = {
+        message: {
+          ...batchMessage,
+          type: call && call.type,
+          data: call && call.data instanceof Array ? call.data : [],
+        },
+      };
+
+      try {
+        let data = await this.middleware.run('incomingRequest', context, () => {
+          const request = context.message;
+          const handler = this.getAPIHandler(request.type);
+
+          if (!handler) {
+            throw new BrokerError(`There is no handler registered for this type of message: ${request.type}`, {
+              code: 'NO_HANDLER',
+              moduleName: this.moduleName,
+            });
+          }
+
+          this.validateAPIArguments(request.type, handler, request.data);
+
+          return this.callAPIHandler(socket, request, handler, request.data, signal);
+        });
+        const iterable = toAsyncIterable(data);
+
+        if (iterable) {
+          data = [];
+
+          for await (const chunk of iterable) {
+            data.push(chunk);
+          }
+        }
+
+        results.push({ success: true, data });
+      } catch (ex) {
+        if (ex instanceof BrokerError) {
+          this.logger.error(ex.message);
+        } else {
+          this.logger.trace(ex);
+        }
+
+        results.push({ success: false, error: this.serializeError(ex) });
+
+        if (atomic) {
+          failedType = (call && call.type) || 'a call';
+        }
+      }
+
+      // Keeps the caller's timeout from expiring while a long batch is running
+      this.sendProgress(socket, message, [index + 1, calls.length], false, signal);
+    }
+
+    return results;
+  }
+
+  /**
+   * Describes the API of this module. This is what the built-in `describe` method answers.
+   * @returns {{ moduleName: string, methods: Object.<string, object>, builtInMethods: string[], events: string[], eventSchemas: Object.<string, object>, subscriptions: string[] }}
+   * `methods` holds the schemas of the registered methods (see `getAPISchemas()`), `events` the names of the
+   * events this module has declared with `registerAPIEvent()` followed by the other events it has emitted,
+   * `eventSchemas` the schemas of the declared events (see `getEventSchemas()`) and `subscriptions` the fully
+   * qualified names of the events it listens to.
+   */
+  describe() {
+    const events = new Set([...this.declaredEvents.keys(), ...this.emittedEvents]);
+
+    return {
+      moduleName: this.moduleName,
+      methods: this.getAPISchemas(),
+      builtInMethods: ['batch', ...this.builtInHandlers.keys()],
+      events: Array.from(events),
+      eventSchemas: this.getEventSchemas(),
+      subscriptions: Array.from(this.events.keys()),
+    };
+  }
+
+  /**
+   * Lists the online modules (see `getOnlineModules()`) and asks each of them to describe its API.
+   *
+   * Only the modules known to this client are listed: the ones announced with `moduleconnect` after it has
+   * connected, and the ones found with `waitForModule()` or `waitForDependencies()`. RealityHub doesn't tell
+   * a client which modules were already connected, so a client that has just connected discovers nothing until
+   * the modules are announced or waited for.
+   * @async
+   * @param {object} [options] Options
+   * @param {number} [options.timeout=2000] Milliseconds to wait for each module's description.
+   * @returns {Promise.<{ moduleName: string, description: object|null, error?: Error }[]>} The modules sorted by
+   * name. `description` is `null` if the module couldn't describe itself, e.g. it's not a BrokerClient or it's
+   * using an older version.
+   */
+  async discover(options = {}) {
+    const { timeout = this.messageTimeout } = options;
+    const moduleNames = this.presence
+      .list()
+      .map(({ moduleName }) => moduleName)
+      .filter((moduleName) => moduleName !== this.moduleName);
+
+    return Promise.all(
+      moduleNames.map(async (moduleName) => {
+        const [vendorName, ...rest] = moduleName.split('.');
+
+        try {
+          const description = await this.getMethodProxy(vendorName, rest.join('.'), { timeout }).describe();
+          const described = description && typeof description === 'object' && !(description instanceof Array);
+          return { moduleName, description: described ? description : null };
+        } catch (error) {
+          return { moduleName, description: null, error };
+        }
+      })
+    );
+  }
+
+  /**
+   * Sends the messages that were queued while the socket was not open.
+   * @private
+   */
+  flushOfflineQueue() {
+    if (!this.offlineQueue || !this.offlineQueue.size) return;
+
+    const socket = this.isDuplicate ? this.parent.getSocket() : this.socket;
+    const entries = this.offlineQueue.drain();
+
+    this.logger.info(`${this.moduleName} is flushing ${entries.length} queued messages`);
+
+    for (const { message, sendOptions, resolve, reject } of entries) {
+      super.sendMessage(message, socket, false, sendOptions).then(resolve, reject);
+    }
+  }
+
   /**
    * @private
    */
@@ -472,6 +1207,7 @@ export default class BrokerClient extends BrokerBase {
         type: 'subscribe',
         eventName,
         targetModuleName: moduleName,
+        ...(isEventPattern(eventName) ? { pattern: true } : {}),
       }).catch(new Function());
     }
   }
@@ -484,13 +1220,25 @@ export default class BrokerClient extends BrokerBase {
     try {
       this.connected = true;
       this.emit('connect');
+      this.flushOfflineQueue();
+
+      if (!this.isDuplicate) {
+        this.startHeartbeat();
+      }
+
+      if (!this.isDuplicate && this.reconnectPolicy.attempt > 0) {
+        this.emit('reconnected', { attempt: this.reconnectPolicy.attempt });
+        this.reconnectPolicy.reset();
+      }
 
       if (this.isDuplicate) {
         await this.ping();
       }
 
       for (const registrar of this.registrars) {
-        await this.registerHandlersToRemote(registrar);
+        await this.registerHandlersToRemote(registrar).catch((ex) => {
+          this.logger.warn(`${this.moduleName} couldn't register its handlers to ${registrar}: ${ex.message}`);
+        });
       }
 
       if (!this.isDuplicate) {
@@ -530,20 +1278,152 @@ export default class BrokerClient extends BrokerBase {
    */
   onClose(e) {
     if (this.connected) {
-      this.connected = false;
-      this.emit('disconnect', e);
-      this.events.delete(`${this.serverModuleName}.moduleconnect`);
-
-      if (!this.isDuplicate) {
-        for (const duplicate of this.duplicates) {
-          duplicate.onClose();
-        }
-      }
+      this.markDisconnected(e);
     } else {
       this.emit('reconnectfailure');
     }
 
-    setTimeout(() => this.connect(this.connectOptions), 1000);
+    if (!this.isDuplicate) {
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * @private
+   */
+  markDisconnected(e) {
+    this.connected = false;
+    this.stopHeartbeat();
+    this.emit('disconnect', e);
+    this.events.delete(`${this.serverModuleName}.moduleconnect`);
+
+    if (!this.isDuplicate) {
+      // The modules will be announced again if the server has restarted
+      this.presence.clear();
+
+      for (const duplicate of this.duplicates) {
+        duplicate.onClose();
+      }
+    }
+  }
+
+  /**
+   * Starts pinging the server periodically if the `heartbeat` option is set.
+   * @private
+   */
+  startHeartbeat() {
+    if (!this.heartbeatOptions) return;
+
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => this.sendHeartbeat(), this.heartbeatOptions.interval);
+  }
+
+  /**
+   * @private
+   */
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    this.heartbeatInFlight = false;
+    this.missedHeartbeats = 0;
+  }
+
+  /**
+   * Sends a single heartbeat ping and emits a `latency` event when it's answered.
+   * @async
+   * @private
+   */
+  async sendHeartbeat() {
+    if (this.heartbeatInFlight) return;
+
+    const socket = this.socket;
+    const start = Date.now();
+    let response;
+
+    this.heartbeatInFlight = true;
+
+    try {
+      response = await this.sendMessage({ type: 'ping', timeout: this.heartbeatOptions.interval, offline: 'reject' });
+    } catch (ex) {
+      response = undefined;
+    }
+
+    // The connection might have been replaced while the ping was in flight
+    if (socket !== this.socket || !this.heartbeatTimer) return;
+
+    this.heartbeatInFlight = false;
+
+    if (response !== undefined) {
+      this.missedHeartbeats = 0;
+      this.latency = Date.now() - start;
+      this.emit('latency', { latency: this.latency, time: start });
+      return;
+    }
+
+    this.missedHeartbeats += 1;
+    this.logger.debug(`${this.moduleName} missed ${this.missedHeartbeats} heartbeats`);
+
+    if (this.missedHeartbeats >= this.heartbeatOptions.missThreshold) {
+      this.onHeartbeatFailure();
+    }
+  }
+
+  /**
+   * Drops the current socket and reconnects when the server stops answering heartbeats.
+   * @private
+   */
+  onHeartbeatFailure() {
+    const { missedHeartbeats } = this;
+    const socket = this.socket;
+
+    this.logger.warn(`${this.moduleName} missed ${missedHeartbeats} heartbeats, reconnecting.`);
+    this.emit('heartbeatfailure', { missedHeartbeats });
+
+    this.removeSocketListeners();
+
+    try {
+      if (typeof socket.terminate === 'function') {
+        socket.terminate();
+      } else {
+        socket.close();
+      }
+    } catch (ex) {
+      this.logger.debug(ex);
+    }
+
+    if (this.connected) {
+      this.markDisconnected({ reason: 'heartbeat' });
+    }
+
+    this.forceReconnect();
+  }
+
+  /**
+   * Schedules the next connection attempt according to the reconnection policy.
+   * Emits `reconnecting` with the attempt number and the delay, or `reconnectexhausted`
+   * if the policy does not allow any more attempts.
+   * @private
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+
+    const next = this.reconnectPolicy.next();
+
+    if (!next) {
+      if (this.reconnectPolicy.enabled) {
+        this.logger.warn(`${this.moduleName} gave up reconnecting after ${this.reconnectPolicy.attempt} attempts.`);
+        this.emit('reconnectexhausted', { attempts: this.reconnectPolicy.attempt });
+      }
+
+      return;
+    }
+
+    this.emit('reconnecting', next);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect(this.connectOptions);
+    }, next.delay);
   }
 
   /**
@@ -557,11 +1437,27 @@ export default class BrokerClient extends BrokerBase {
 
     return this.sendMessage({
       type: `${targetModuleName}.registerAPIHandlers`,
-      data: Array.from(this.apiHandlers.keys()),
+      data: this.getHandledMessageTypes(),
       targetModuleName,
     });
   }
 
+  /**
+   * Returns the message types to register to the remotes: the API handlers, the built-in handlers and
+   * the batch requests.
+   * @private
+   * @returns {string[]}
+   */
+  getHandledMessageTypes() {
+    const messageTypes = new Set(this.apiHandlers.keys());
+
+    for (const methodName of ['batch', ...this.builtInHandlers.keys()]) {
+      messageTypes.add(`${this.moduleName}.${methodName}`);
+    }
+
+    return Array.from(messageTypes);
+  }
+
   /**
    * Send a message to all remote endpoints telling them not to relay any messages
    * to this module anymore.
@@ -576,7 +1472,7 @@ export default class BrokerClient extends BrokerBase {
         promises.push(
           this.sendMessage({
             type: `${targetModuleName}.deregisterAPIHandlers`,
-            data: Array.from(this.apiHandlers.keys()),
+            data: this.getHandledMessageTypes(),
             targetModuleName: registrar,
           })
         );
@@ -608,6 +1504,10 @@ export default class BrokerClient extends BrokerBase {
    */
   async destroy() {
     try {
+      if (this.offlineQueue) {
+        this.offlineQueue.clear('BrokerClient is destroyed');
+      }
+
       if (this.isDuplicate) {
         await Promise.all([
           this.deregisterHandlersFromRemotes(),
@@ -620,6 +1520,9 @@ export default class BrokerClient extends BrokerBase {
         ]);
         this.emit('destroy');
       } else {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.stopHeartbeat();
         this.socket.close();
         this.removeSocketListeners();
         super.destroy();
@@ -632,9 +1535,11 @@ export default class BrokerClient extends BrokerBase {
   /**
    * Register a module's API handlers to RealityHub
    * @async
-   * @param {Object.<string, function>} handlers Key will be registered to the API tree.
+   * @param {Object.<string, function|{ handler: function, schema: object }>} handlers Key will be registered
+   * to the API tree. The value (function) will handle the API calls. Use `{ handler, schema }` to validate
+   * the arguments of the calls and `{ handler, requestContext: true }` to receive the request context (see
+   * `registerAPIHandler`).
    * @param {*} [context=null] Handlers' `this` will be set to this context.
-   * The value (function) will handle the API calls.
    * @param {string} [remote='hub.core'] Remote
    * @example
    * // server.js
@@ -655,7 +1560,13 @@ export default class BrokerClient extends BrokerBase {
    */
   async registerAPIHandlers(handlers, context = null, remote = 'hub.core') {
     for (const [handlerName, handler] of Object.entries(handlers)) {
-      this.registerAPIHandler(handlerName, handler.bind(context));
+      if (typeof handler === 'function') {
+        this.registerAPIHandler(handlerName, handler.bind(context));
+      } else {
+        this.registerAPIHandler(handlerName, handler.handler.bind(context), handler.schema, {
+          requestContext: handler.requestContext,
+        });
+      }
     }
 
     return this.registerHandlersToRemote(remote);
@@ -666,7 +1577,7 @@ export default class BrokerClient extends BrokerBase {
    * and register themselves to RealityHub.
    * @async
    * @static
-   * @param {{ clientModuleName?: string, menuTitle?: string, moduleName: string, serverURL: string, webSocketURL?: string, hub: {host: string, port: number }}} params Parameters
+   * @param {{ clientModuleName?: string, menuTitle?: string, moduleName: string, serverURL: string, webSocketURL?: string, hub: {host: string, port: number }, reconnect?: object|boolean, offlineQueue?: object, heartbeat?: object, legacyTimeouts?: boolean, exposeErrorStack?: boolean, codec?: string|Codec, compression?: object|boolean, dependencies?: string[]}} params Parameters
    * @param {string} [params.clientModuleName] Client Module Name (`<vendor>.<client module name>`)
    * @param {string} [params.menuTitle] Menu Title
    * @param {string} params.moduleName Backend Module Name (`<vendor>.<backend module name>`)
@@ -679,11 +1590,45 @@ export default class BrokerClient extends BrokerBase {
    * @param {{ host: string, port: number }} params.hub RealityHub connection parameters
    * @param {string} params.hub.host RealityHub hostname or IP address
    * @param {string} params.hub.port RealityHub port
+   * @param {object|boolean} [params.reconnect] Reconnection policy. Set to `false` to disable reconnecting.
+   * @param {object} [params.offlineQueue] Enables queueing outgoing messages while disconnected.
+   * @param {object} [params.heartbeat] Enables pinging the server periodically to detect dead connections.
+   * @param {boolean} [params.legacyTimeouts=false] Timed out requests resolve `undefined` instead of rejecting.
+   * @param {boolean} [params.exposeErrorStack=false] Failed responses include the stack trace of the error.
+   * @param {string|Codec} [params.codec='json'] Preferred message codec (`'json'`, `'msgpack'` or a custom codec).
+   * @param {object|boolean} [params.compression] Compresses the messages larger than a threshold.
+   * @param {string[]} [params.dependencies] Modules this module depends on.
    * @returns {Promise<BrokerClient, Error>} A BrokerClient instance.
    */
   static async initModule(params) {
-    const { moduleName, serverURL, hub, webSocketURL = '/core', clientModuleName, menuTitle } = params;
-    const hubClient = new BrokerClient({ moduleName, webSocketURL });
+    const {
+      moduleName,
+      serverURL,
+      hub,
+      webSocketURL = '/core',
+      clientModuleName,
+      menuTitle,
+      reconnect,
+      offlineQueue,
+      heartbeat,
+      legacyTimeouts,
+      exposeErrorStack,
+      codec,
+      compression,
+      dependencies,
+    } = params;
+    const hubClient = new BrokerClient({
+      moduleName,
+      webSocketURL,
+      reconnect,
+      offlineQueue,
+      heartbeat,
+      legacyTimeouts,
+      exposeErrorStack,
+      codec,
+      compression,
+      dependencies,
+    });
 
     hubClient.connect(hub);
     await hubClient.getConnectPromise();
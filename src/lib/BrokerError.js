@@ -14,4 +14,71 @@
 // You should have received a copy of the GNU General Public License
 // along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
 
-export default class BrokerError extends Error {}
+/**
+ * An error that can travel between modules. Its fields are serialized into the `data` of a failed
+ * response and rebuilt by the caller.
+ * @param {string} message Error message
+ * @param {object} [params] Parameters
+ * @param {string} [params.code='BROKER_ERROR'] Machine-readable error code
+ * @param {*} [params.details] Additional payload, must be serializable
+ * @param {string} [params.moduleName] Module that raised the error
+ * @param {string} [params.remoteStack] Stack trace of the error on the remote module
+ * @param {Error} [params.cause] The error that caused this one
+ */
+export default class BrokerError extends Error {
+  constructor(message, params = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = params.code || 'BROKER_ERROR';
+    this.details = params.details;
+    this.moduleName = params.moduleName;
+    this.remoteStack = params.remoteStack;
+
+    if (params.cause) {
+      this.cause = params.cause;
+    }
+  }
+
+  /**
+   * Serializes the error into a response payload entry.
+   * @param {object} [options] Options
+   * @param {boolean} [options.includeStack=false] Include the stack trace.
+   * @returns {object}
+   */
+  toJSON(options = {}) {
+    const json = {
+      error: this.message,
+      code: this.code,
+      details: this.details,
+      moduleName: this.moduleName,
+    };
+
+    if (options.includeStack) {
+      json.stack = this.remoteStack || this.stack;
+    }
+
+    if (this.cause instanceof BrokerError) {
+      json.cause = this.cause.toJSON(options);
+    } else if (this.cause instanceof Error) {
+      json.cause = { error: this.cause.message, code: this.cause.code };
+    }
+
+    return json;
+  }
+
+  /**
+   * Rebuilds an error serialized by `toJSON()`.
+   * @param {object} json
+   * @param {object} [defaults] Values to use for the fields that are missing in `json`
+   * @returns {BrokerError}
+   */
+  static fromJSON(json, defaults = {}) {
+    return new BrokerError(json.error || defaults.error, {
+      code: json.code || defaults.code,
+      details: json.details,
+      moduleName: json.moduleName || defaults.moduleName,
+      remoteStack: json.stack,
+      cause: json.cause ? BrokerError.fromJSON(json.cause) : undefined,
+    });
+  }
+}
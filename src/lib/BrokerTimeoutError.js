@@ -0,0 +1,34 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import BrokerError from './BrokerError.js';
+
+/**
+ * Thrown when a request is not answered in time.
+ * @param {string} message Error message
+ * @param {object} params Parameters
+ * @param {string} params.messageType Type of the request (e.g. `hub.core.registerProxyURL`)
+ * @param {string} [params.targetModuleName] Module the request was sent to
+ * @param {number} params.elapsed Milliseconds passed until the request timed out
+ */
+export default class BrokerTimeoutError extends BrokerError {
+  constructor(message, params) {
+    super(message, { code: 'TIMEOUT' });
+    this.messageType = params.messageType;
+    this.targetModuleName = params.targetModuleName;
+    this.elapsed = params.elapsed;
+  }
+}
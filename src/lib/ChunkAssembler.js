@@ -0,0 +1,125 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import BrokerError from './BrokerError.js';
+import checksum from './checksum.js';
+
+function concat(chunks) {
+  const bytes = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+  let offset = 0;
+
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+
+  return bytes;
+}
+
+/**
+ * Puts chunked messages back together.
+ * @param {object} options Options
+ * @param {number} options.timeout Milliseconds to wait for the rest of the chunks after a chunk is received.
+ * @param {number} options.maxSize Maximum total length of the messages being reassembled at the same time.
+ */
+export default class ChunkAssembler {
+  constructor(options) {
+    this.timeout = options.timeout;
+    this.maxSize = options.maxSize;
+
+    /**
+     * Messages being reassembled, keyed by sender module name and message id.
+     * @type {Map<string, { chunks: (string|Uint8Array)[], received: number, size: number, timer: number }>}
+     */
+    this.partials = new Map();
+    this.size = 0;
+  }
+
+  /**
+   * Adds a chunk.
+   * @param {object} message A chunk envelope.
+   * @returns {string|Uint8Array|null} The raw message if this was its last missing chunk, `null` otherwise.
+   * @throws {BrokerError} If the chunk is invalid, the checksum doesn't match or the memory cap is exceeded.
+   */
+  add(message) {
+    const { index, total, checksum: expectedChecksum } = message.chunk;
+    const key = `${message.moduleName}::${message.id}`;
+
+    if (!Number.isInteger(index) || !Number.isInteger(total) || index < 0 || index >= total) {
+      throw new BrokerError(`Invalid chunk ${index}/${total} of ${message.type}.`, { code: 'CHUNK_INVALID' });
+    }
+
+    let partial = this.partials.get(key);
+
+    if (!partial) {
+      partial = { chunks: new Array(total), received: 0, size: 0 };
+      this.partials.set(key, partial);
+    }
+
+    clearTimeout(partial.timer);
+
+    if (partial.chunks[index] === undefined) {
+      if (this.size + message.payload.length > this.maxSize) {
+        this.discard(key);
+        throw new BrokerError(`Reassembling ${message.type} exceeds the memory cap of ${this.maxSize}.`, {
+          code: 'CHUNK_MEMORY_EXCEEDED',
+        });
+      }
+
+      partial.chunks[index] = message.payload;
+      partial.received += 1;
+      partial.size += message.payload.length;
+      this.size += message.payload.length;
+    }
+
+    if (partial.received < total) {
+      partial.timer = setTimeout(() => this.discard(key), this.timeout);
+      return null;
+    }
+
+    this.discard(key);
+    const rawMessage = typeof partial.chunks[0] === 'string' ? partial.chunks.join('') : concat(partial.chunks);
+
+    if (checksum(rawMessage) !== expectedChecksum) {
+      throw new BrokerError(`Checksum of the reassembled ${message.type} doesn't match.`, { code: 'CHUNK_CHECKSUM' });
+    }
+
+    return rawMessage;
+  }
+
+  /**
+   * @private
+   * @param {string} key
+   */
+  discard(key) {
+    const partial = this.partials.get(key);
+
+    if (!partial) return;
+
+    clearTimeout(partial.timer);
+    this.size -= partial.size;
+    this.partials.delete(key);
+  }
+
+  /**
+   * Drops all of the partially received messages.
+   */
+  clear() {
+    for (const key of Array.from(this.partials.keys())) {
+      this.discard(key);
+    }
+  }
+}
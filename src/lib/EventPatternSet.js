@@ -0,0 +1,148 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Returns `true` if an event name has wildcard segments.
+ * @param {string} eventName
+ * @returns {boolean}
+ */
+export function isEventPattern(eventName) {
+  return eventName.split('.').some((segment) => segment === '*' || segment === '**');
+}
+
+/**
+ * Checks that the wildcards of a fully qualified pattern are whole segments after the module name.
+ * @param {string} pattern
+ * @throws {Error}
+ */
+export function validateEventPattern(pattern) {
+  pattern.split('.').forEach((segment, index) => {
+    if (!segment.includes('*')) return;
+
+    if (index < 2) {
+      throw new Error(`Invalid event pattern "${pattern}": vendor and module names cannot have wildcards.`);
+    }
+
+    if (segment !== '*' && segment !== '**') {
+      throw new Error(`Invalid event pattern "${pattern}": wildcards must be whole segments ("*" or "**").`);
+    }
+  });
+}
+
+/**
+ * A set of event name patterns, stored as a tree of their segments so that matching an event name only
+ * visits the patterns that can match it.
+ *
+ * In a pattern, `*` matches exactly one segment and `**` matches any number of segments, including none.
+ * E.g. `vendor.module.engine.*` matches `vendor.module.engine.started` and `vendor.module.**` matches all
+ * of the events of `vendor.module`.
+ */
+export default class EventPatternSet {
+  constructor() {
+    this.root = { children: new Map(), pattern: null };
+    this.size = 0;
+  }
+
+  /**
+   * @param {string} pattern
+   * @returns {boolean} `false` if the pattern is already in the set.
+   */
+  add(pattern) {
+    let node = this.root;
+
+    for (const segment of pattern.split('.')) {
+      if (!node.children.has(segment)) {
+        node.children.set(segment, { children: new Map(), pattern: null });
+      }
+
+      node = node.children.get(segment);
+    }
+
+    if (node.pattern !== null) return false;
+
+    node.pattern = pattern;
+    this.size += 1;
+    return true;
+  }
+
+  /**
+   * @param {string} pattern
+   * @returns {boolean} `false` if the pattern is not in the set.
+   */
+  delete(pattern) {
+    const path = [this.root];
+
+    for (const segment of pattern.split('.')) {
+      const child = path[path.length - 1].children.get(segment);
+      if (!child) return false;
+      path.push(child);
+    }
+
+    const node = path[path.length - 1];
+
+    if (node.pattern === null) return false;
+
+    node.pattern = null;
+    this.size -= 1;
+
+    // Prune the branches that don't lead to a pattern anymore
+    const segments = pattern.split('.');
+
+    for (let i = path.length - 1; i > 0; i -= 1) {
+      if (path[i].pattern !== null || path[i].children.size) break;
+      path[i - 1].children.delete(segments[i - 1]);
+    }
+
+    return true;
+  }
+
+  /**
+   * Returns the patterns that match an event name.
+   * @param {string} eventName Fully qualified event name.
+   * @returns {string[]}
+   */
+  match(eventName) {
+    if (!this.size) return [];
+
+    const segments = eventName.split('.');
+    const matches = new Set();
+
+    const visit = (node, index) => {
+      const globstar = node.children.get('**');
+
+      if (globstar) {
+        // `**` consumes any number of the remaining segments
+        for (let i = index; i <= segments.length; i += 1) {
+          visit(globstar, i);
+        }
+      }
+
+      if (index === segments.length) {
+        if (node.pattern !== null) matches.add(node.pattern);
+        return;
+      }
+
+      const exact = node.children.get(segments[index]);
+      const wildcard = node.children.get('*');
+
+      if (exact) visit(exact, index + 1);
+      if (wildcard) visit(wildcard, index + 1);
+    };
+
+    visit(this.root, 0);
+    return Array.from(matches);
+  }
+}
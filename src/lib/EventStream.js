@@ -0,0 +1,186 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import BrokerError from './BrokerError.js';
+import { AbortError } from './onceMultiple.js';
+
+const OVERFLOW_POLICIES = ['dropOldest', 'dropNewest', 'error'];
+
+/**
+ * Receives the events of a subscription and exposes them as an async iterable. Each value is the array of
+ * arguments an `on` handler would receive. The subscription starts when the iteration starts and ends when
+ * the iteration ends, e.g. with `break`. If the subscription fails, the iteration ends with its error.
+ * @param {BrokerBase} broker
+ * @param {string} eventName Fully qualified event name or pattern.
+ * @param {object} [options] Options
+ * @param {number} [options.bufferSize=100] Maximum number of events waiting to be consumed.
+ * @param {'dropOldest'|'dropNewest'|'error'} [options.overflow='dropOldest'] What to do with an event that
+ * doesn't fit in the buffer. `error` ends the iteration with an `EVENT_BUFFER_OVERFLOW` error.
+ * @param {AbortSignal} [options.signal] Ends the iteration with an `AbortError`.
+ */
+export default class EventStream {
+  constructor(broker, eventName, options = {}) {
+    const { bufferSize = 100, overflow = 'dropOldest', signal } = options;
+
+    if (typeof bufferSize !== 'number' || bufferSize < 1) {
+      throw new Error('events: bufferSize must be a positive number.');
+    }
+
+    if (!OVERFLOW_POLICIES.includes(overflow)) {
+      throw new Error(`events: overflow must be one of ${OVERFLOW_POLICIES.join(', ')}.`);
+    }
+
+    this.broker = broker;
+    this.eventName = eventName;
+    this.bufferSize = bufferSize;
+    this.overflow = overflow;
+    this.signal = signal;
+
+    this.buffer = [];
+    this.dropped = 0;
+    this.started = false;
+    this.done = false;
+    this.error = null;
+    this.waiter = null;
+
+    this.onEvent = this.onEvent.bind(this);
+    this.onAbort = this.onAbort.bind(this);
+  }
+
+  /**
+   * @private
+   */
+  subscribe() {
+    this.started = true;
+
+    this.broker.subscribeToAPIEvent(this.eventName, this.onEvent).catch((err) => {
+      const logger = this.broker.logger || console;
+      logger.error(`Couldn't subscribe to ${this.eventName}: ${err.message}`);
+
+      // The events will never come, the consumer gets the error instead of waiting forever
+      this.finish(err);
+    });
+
+    if (this.signal && this.signal.aborted) {
+      this.onAbort();
+    } else if (this.signal) {
+      this.signal.addEventListener('abort', this.onAbort);
+    }
+  }
+
+  /**
+   * @private
+   * @param {...*} args
+   */
+  onEvent(...args) {
+    if (this.done) return;
+
+    if (this.buffer.length >= this.bufferSize) {
+      switch (this.overflow) {
+        case 'dropOldest': {
+          this.buffer.shift();
+          this.dropped += 1;
+          break;
+        }
+
+        case 'dropNewest': {
+          this.dropped += 1;
+          return;
+        }
+
+        case 'error': {
+          this.finish(
+            new BrokerError(`${this.eventName} events are not consumed fast enough, the buffer is full.`, {
+              code: 'EVENT_BUFFER_OVERFLOW',
+              details: { bufferSize: this.bufferSize },
+            })
+          );
+          return;
+        }
+      }
+    }
+
+    this.buffer.push(args);
+    this.wake();
+  }
+
+  /**
+   * @private
+   */
+  onAbort() {
+    this.buffer = [];
+    this.finish(new AbortError(`${this.eventName} events are aborted.`));
+  }
+
+  /**
+   * Ends the subscription. Buffered events can still be consumed.
+   * @private
+   * @param {Error} [error] Thrown after the buffered events are consumed.
+   */
+  finish(error = null) {
+    if (this.done) return;
+
+    this.done = true;
+    this.error = error;
+
+    if (this.signal) {
+      this.signal.removeEventListener('abort', this.onAbort);
+    }
+
+    this.broker.removeAPIEventHandler(this.eventName, this.onEvent);
+    this.wake();
+  }
+
+  /**
+   * @private
+   */
+  wake() {
+    if (this.waiter) {
+      const resolve = this.waiter;
+      this.waiter = null;
+      resolve();
+    }
+  }
+
+  async *[Symbol.asyncIterator]() {
+    if (this.started) {
+      throw new Error(`${this.eventName} events can only be iterated once.`);
+    }
+
+    this.subscribe();
+
+    try {
+      while (true) {
+        if (this.buffer.length) {
+          yield this.buffer.shift();
+          continue;
+        }
+
+        if (this.done) {
+          if (this.error) throw this.error;
+          return;
+        }
+
+        await new Promise((resolve) => {
+          this.waiter = resolve;
+        });
+      }
+    } finally {
+      // The consumer has stopped iterating, e.g. with `break`
+      this.finish();
+    }
+  }
+}
@@ -0,0 +1,121 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+export const MIDDLEWARE_HOOKS = ['outgoingRequest', 'incomingResponse', 'incomingRequest', 'outgoingResponse'];
+
+/**
+ * Runs the middleware registered to the hooks of a broker.
+ *
+ * A middleware is an async function that receives a context object and a `next` function. Calling `next()`
+ * runs the rest of the middleware and the broker's own step, and resolves with their result. A middleware can
+ * change the context before calling `next()`, return a different result, return without calling `next()` to
+ * short-circuit the rest, or throw to reject.
+ *
+ * A pipeline can inherit the middleware of a parent pipeline, which run before its own.
+ */
+export default class MiddlewarePipeline {
+  /**
+   * @param {MiddlewarePipeline} [parent] Pipeline whose middleware run before the ones of this pipeline.
+   */
+  constructor(parent = null) {
+    this.parent = parent;
+    this.hooks = new Map(MIDDLEWARE_HOOKS.map((hook) => [hook, []]));
+  }
+
+  /**
+   * @param {string} hook
+   * @returns {function[]}
+   */
+  getMiddleware(hook) {
+    const middleware = this.hooks.get(hook);
+
+    if (!middleware) {
+      throw new Error(`Unknown middleware hook: ${hook}. Available hooks: ${MIDDLEWARE_HOOKS.join(', ')}`);
+    }
+
+    return middleware;
+  }
+
+  /**
+   * Adds a middleware to the end of a hook.
+   * @param {string} hook
+   * @param {function} middleware
+   */
+  use(hook, middleware) {
+    if (typeof middleware !== 'function') {
+      throw new Error('middleware must be a function');
+    }
+
+    this.getMiddleware(hook).push(middleware);
+  }
+
+  /**
+   * @param {string} hook
+   * @param {function} middleware
+   * @returns {boolean} `false` if the middleware is not added to the hook.
+   */
+  remove(hook, middleware) {
+    const hookMiddleware = this.getMiddleware(hook);
+    const index = hookMiddleware.indexOf(middleware);
+
+    if (index === -1) return false;
+
+    hookMiddleware.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Returns the middleware of a hook including the inherited ones, in the order they run.
+   * @param {string} hook
+   * @returns {function[]}
+   */
+  getAllMiddleware(hook) {
+    const middleware = this.getMiddleware(hook);
+
+    return this.parent ? this.parent.getAllMiddleware(hook).concat(middleware) : middleware.slice();
+  }
+
+  /**
+   * Runs the middleware of a hook in the order they were added, after the inherited ones.
+   * @param {string} hook
+   * @param {object} context Passed to each middleware.
+   * @param {function} step The broker's own step, called after the last middleware calls `next()`.
+   * @returns {Promise} Resolves with the result of the first middleware.
+   */
+  async run(hook, context, step) {
+    // Middleware added or removed while the hook is running apply to the next run
+    const middleware = this.getAllMiddleware(hook);
+
+    const dispatch = async (index) => {
+      if (index === middleware.length) {
+        return step();
+      }
+
+      let called = false;
+
+      return middleware[index](context, () => {
+        if (called) {
+          throw new Error(`next() is called more than once by a ${hook} middleware`);
+        }
+
+        called = true;
+        return dispatch(index + 1);
+      });
+    };
+
+    return dispatch(0);
+  }
+}
@@ -0,0 +1,103 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import EventEmitter from 'events';
+
+/**
+ * Keeps track of the modules that are online.
+ *
+ * Emits `online` and `offline` with the entry of the module, and `online::<moduleName>` when a specific
+ * module comes online.
+ */
+export default class ModulePresence extends EventEmitter {
+  constructor() {
+    super();
+
+    // Each `waitForModule()` call listens for a module until it comes online
+    this.setMaxListeners(0);
+
+    /**
+     * @type {Map<string, { moduleName: string, connectedAt: number }>}
+     */
+    this.modules = new Map();
+  }
+
+  /**
+   * Marks a module as online.
+   * @param {string} moduleName
+   * @param {number} [connectedAt] Time the module has connected. Defaults to now.
+   * @returns {boolean} `false` if the module is already online.
+   */
+  add(moduleName, connectedAt = Date.now()) {
+    if (this.modules.has(moduleName)) return false;
+
+    const entry = { moduleName, connectedAt };
+    this.modules.set(moduleName, entry);
+    this.emit('online', entry);
+    this.emit(`online::${moduleName}`, entry);
+
+    return true;
+  }
+
+  /**
+   * Marks a module as offline.
+   * @param {string} moduleName
+   * @returns {boolean} `false` if the module is not online.
+   */
+  remove(moduleName) {
+    const entry = this.modules.get(moduleName);
+
+    if (!entry) return false;
+
+    this.modules.delete(moduleName);
+    this.emit('offline', entry);
+
+    return true;
+  }
+
+  /**
+   * @param {string} moduleName
+   * @returns {boolean}
+   */
+  has(moduleName) {
+    return this.modules.has(moduleName);
+  }
+
+  /**
+   * @param {string} moduleName
+   * @returns {{ moduleName: string, connectedAt: number }|undefined}
+   */
+  get(moduleName) {
+    return this.modules.get(moduleName);
+  }
+
+  /**
+   * Returns the online modules sorted by name.
+   * @returns {{ moduleName: string, connectedAt: number }[]}
+   */
+  list() {
+    return Array.from(this.modules.values()).sort((a, b) => (a.moduleName < b.moduleName ? -1 : 1));
+  }
+
+  /**
+   * Marks all of the modules as offline, e.g. when the connection to the server is lost.
+   */
+  clear() {
+    for (const moduleName of Array.from(this.modules.keys())) {
+      this.remove(moduleName);
+    }
+  }
+}
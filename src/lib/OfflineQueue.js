@@ -0,0 +1,144 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import BrokerError from './BrokerError.js';
+import { AbortError } from './onceMultiple.js';
+
+const DEFAULT_OFFLINE_QUEUE_OPTIONS = {
+  maxSize: 1000,
+  maxAge: 30 * 1000,
+};
+
+/**
+ * Holds outgoing messages while the WebSocket is not open.
+ * @param {object} [options] Options
+ * @param {number} [options.maxSize=1000] Maximum number of messages. Messages that don't fit are rejected.
+ * @param {number} [options.maxAge=30000] Milliseconds a message can wait in the queue before it's rejected.
+ */
+export default class OfflineQueue {
+  constructor(options) {
+    this.options = {
+      ...DEFAULT_OFFLINE_QUEUE_OPTIONS,
+      ...options,
+    };
+
+    if (typeof this.options.maxSize !== 'number' || this.options.maxSize < 1) {
+      throw new Error('offlineQueue.maxSize must be a positive number');
+    }
+
+    if (typeof this.options.maxAge !== 'number' || this.options.maxAge <= 0) {
+      throw new Error('offlineQueue.maxAge must be a positive number');
+    }
+
+    this.entries = [];
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Adds a message to the queue.
+   * @param {object} message
+   * @param {object} [sendOptions] Options to send the message with once it's flushed. If `sendOptions.signal`
+   * is aborted, the message is removed from the queue.
+   * @returns {Promise} Settles with the result of the message once it's flushed.
+   */
+  enqueue(message, sendOptions = {}) {
+    const { signal } = sendOptions;
+
+    if (this.entries.length >= this.options.maxSize) {
+      return Promise.reject(
+        new BrokerError(`Offline queue is full, ${message.type} is rejected.`, { code: 'OFFLINE_QUEUE_FULL' })
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { message, sendOptions, resolve, reject };
+
+      entry.timer = setTimeout(() => {
+        this.remove(entry);
+        reject(new BrokerError(`${message.type} has expired in the offline queue.`, { code: 'OFFLINE_QUEUE_EXPIRED' }));
+      }, this.options.maxAge);
+
+      if (signal) {
+        entry.onAbort = () => {
+          if (this.remove(entry)) {
+            reject(new AbortError(`${message.type} is aborted.`));
+          }
+        };
+
+        signal.addEventListener('abort', entry.onAbort);
+      }
+
+      this.entries.push(entry);
+    });
+  }
+
+  /**
+   * @private
+   * @param {object} entry
+   * @returns {boolean} `false` if the entry is not in the queue anymore.
+   */
+  remove(entry) {
+    const index = this.entries.indexOf(entry);
+
+    if (index === -1) return false;
+
+    this.release(entry);
+    this.entries.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Stops the timer of an entry that leaves the queue and removes its abort listener, so that a long-lived
+   * signal doesn't keep the entry.
+   * @private
+   * @param {object} entry
+   */
+  release(entry) {
+    clearTimeout(entry.timer);
+
+    if (entry.onAbort) {
+      entry.sendOptions.signal.removeEventListener('abort', entry.onAbort);
+    }
+  }
+
+  /**
+   * Empties the queue and returns the entries in the order they were added.
+   * @returns {{ message: object, sendOptions: object, resolve: function, reject: function }[]}
+   */
+  drain() {
+    const entries = this.entries;
+    this.entries = [];
+
+    for (const entry of entries) {
+      this.release(entry);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Rejects all of the queued messages.
+   * @param {string} reason
+   */
+  clear(reason) {
+    for (const entry of this.drain()) {
+      entry.reject(new BrokerError(`${entry.message.type} is discarded: ${reason}`, { code: 'OFFLINE_QUEUE_CLEARED' }));
+    }
+  }
+}
@@ -0,0 +1,104 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import EventEmitter from 'events';
+
+/**
+ * A subscription to the value of a node property, returned by `RealityWorld.watchProperty()`.
+ *
+ * Events:
+ * - `change` (value, previousValue) The first value is emitted as a change from `undefined`.
+ * - `pollerror` (error)
+ * @param {PropertyWatcher} watcher
+ * @param {object} options Options
+ * @param {number} options.interval Milliseconds between the polls.
+ * @param {number} options.throttle Minimum milliseconds between `change` events. The last value is
+ * emitted at the end of the throttle period.
+ */
+export default class PropertySubscription extends EventEmitter {
+  constructor(watcher, options) {
+    super();
+
+    this.watcher = watcher;
+    this.interval = options.interval;
+    this.throttle = options.throttle;
+    this.closed = false;
+
+    this.lastEmitTime = -Infinity;
+    this.throttleTimer = null;
+    this.pendingChange = null;
+  }
+
+  /**
+   * The last known value.
+   * @type {*}
+   */
+  get value() {
+    return this.watcher.value;
+  }
+
+  /**
+   * Called by the watcher when the value has changed.
+   * @private
+   * @param {*} value
+   * @param {*} previousValue
+   */
+  push(value, previousValue) {
+    if (this.closed) return;
+
+    const wait = this.lastEmitTime + this.throttle - Date.now();
+
+    if (wait <= 0) {
+      this.emitChange(value, previousValue);
+      return;
+    }
+
+    // Keep the value emitted last as the previous value of the coalesced change
+    this.pendingChange = { value, previousValue: this.pendingChange ? this.pendingChange.previousValue : previousValue };
+
+    if (!this.throttleTimer) {
+      this.throttleTimer = setTimeout(() => {
+        const { value, previousValue } = this.pendingChange;
+        this.throttleTimer = null;
+        this.pendingChange = null;
+        this.emitChange(value, previousValue);
+      }, wait);
+    }
+  }
+
+  /**
+   * @private
+   */
+  emitChange(value, previousValue) {
+    this.lastEmitTime = Date.now();
+    this.emit('change', value, previousValue);
+  }
+
+  /**
+   * Stops the subscription. The property is not polled anymore if this was its last subscription.
+   */
+  unsubscribe() {
+    if (this.closed) return;
+
+    this.closed = true;
+    clearTimeout(this.throttleTimer);
+    this.throttleTimer = null;
+    this.pendingChange = null;
+    this.watcher.unsubscribe(this);
+    this.emit('unsubscribe');
+    this.removeAllListeners();
+  }
+}
@@ -0,0 +1,123 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import PropertySubscription from './PropertySubscription.js';
+
+/**
+ * Polls a node property for all of its subscriptions and notifies them when the value changes.
+ * The property is polled as often as the subscription with the shortest interval requires.
+ * @param {RealityProperty} property
+ * @param {function} onClose Called when the last subscription is removed.
+ */
+export default class PropertyWatcher {
+  constructor(property, onClose) {
+    this.property = property;
+    this.onClose = onClose;
+
+    /** @type {Set<PropertySubscription>} */
+    this.subscriptions = new Set();
+    this.value = undefined;
+    this.hasValue = false;
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  /**
+   * @param {{ interval: number, throttle: number }} options
+   * @returns {PropertySubscription}
+   */
+  subscribe(options) {
+    const subscription = new PropertySubscription(this, options);
+    this.subscriptions.add(subscription);
+
+    if (this.hasValue) {
+      // Let the caller add its listeners before the current value is emitted
+      queueMicrotask(() => subscription.push(this.value, undefined));
+    }
+
+    // The first subscription starts polling, the others join it
+    if (!this.polling && !this.pollTimer) {
+      this.poll();
+    }
+
+    return subscription;
+  }
+
+  /**
+   * @private
+   * @param {PropertySubscription} subscription
+   */
+  unsubscribe(subscription) {
+    if (this.subscriptions.delete(subscription) && !this.subscriptions.size) {
+      this.close();
+    }
+  }
+
+  /**
+   * Stops polling and unsubscribes all of the subscriptions.
+   */
+  close() {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+
+    const subscriptions = [...this.subscriptions];
+    this.subscriptions.clear();
+
+    for (const subscription of subscriptions) {
+      subscription.unsubscribe();
+    }
+
+    if (this.onClose) {
+      const onClose = this.onClose;
+      this.onClose = null;
+      onClose();
+    }
+  }
+
+  /**
+   * @private
+   */
+  async poll() {
+    this.polling = true;
+    this.pollTimer = null;
+
+    try {
+      const value = await this.property.get();
+      const previousValue = this.value;
+      const changed = !this.hasValue || JSON.stringify(value) !== JSON.stringify(previousValue);
+
+      this.value = value;
+      this.hasValue = true;
+
+      if (changed) {
+        for (const subscription of this.subscriptions) {
+          subscription.push(value, previousValue);
+        }
+      }
+    } catch (ex) {
+      for (const subscription of this.subscriptions) {
+        subscription.emit('pollerror', ex);
+      }
+    } finally {
+      this.polling = false;
+    }
+
+    if (!this.subscriptions.size) return;
+
+    const interval = Math.min(...[...this.subscriptions].map((subscription) => subscription.interval));
+    this.pollTimer = setTimeout(() => this.poll(), interval);
+  }
+}
@@ -0,0 +1,265 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import EventEmitter from 'events';
+import { normalizeNodePath } from './realityPaths.js';
+
+const DEFAULT_CACHE_OPTIONS = {
+  interval: 5000,
+  refreshEvents: [],
+  ignoredEngineKeys: ['fps'],
+};
+
+/**
+ * Keeps the engine list and the node trees of the engines in memory, and emits the differences
+ * whenever they are refreshed.
+ *
+ * Events:
+ * - `engineadded` (engine)
+ * - `engineremoved` (engine)
+ * - `enginechanged` (engine, previousEngine, changedKeys)
+ * - `nodeadded` (engineId, nodePath, node)
+ * - `noderemoved` (engineId, nodePath, node)
+ * - `refresherror` (error)
+ * @param {RealityWorld} world
+ * @param {object} [options] Options
+ * @param {number} [options.interval=5000] Milliseconds between the refreshes. Polling is disabled if `0`.
+ * @param {string[]} [options.refreshEvents=[]] Fully qualified Hub events (e.g. `vendor.module.eventName`)
+ * that trigger a refresh.
+ * @param {string[]} [options.ignoredEngineKeys=['fps']] Engine fields that don't trigger `enginechanged`.
+ */
+export default class RealityCache extends EventEmitter {
+  constructor(world, options = {}) {
+    super();
+
+    this.world = world;
+    this.options = { ...DEFAULT_CACHE_OPTIONS, ...options };
+
+    if (typeof this.options.interval !== 'number' || this.options.interval < 0) {
+      throw new Error('interval must be a non-negative number');
+    }
+
+    for (const eventName of this.options.refreshEvents) {
+      if (typeof eventName !== 'string' || eventName.split('.').length < 3) {
+        throw new Error('refreshEvents must be in the "vendor.module.eventName" format');
+      }
+    }
+
+    /** @type {Map<number, object>} */
+    this.engines = new Map();
+
+    /**
+     * Node trees of the engines whose nodes are requested, `null` until the first fetch.
+     * @type {Map<number, object|null>}
+     */
+    this.nodeTrees = new Map();
+
+    this.started = false;
+    this.pollTimer = null;
+    this.pendingRefresh = null;
+    this.onRefreshEvent = () => this.refresh().catch(() => {});
+  }
+
+  /**
+   * Fetches the engines and starts refreshing them.
+   * @returns {Promise}
+   */
+  start() {
+    if (this.started) return this.pendingRefresh || Promise.resolve();
+
+    this.started = true;
+
+    for (const eventName of this.options.refreshEvents) {
+      this.getModuleAPI(eventName).on(getShortEventName(eventName), this.onRefreshEvent);
+    }
+
+    return this.refresh();
+  }
+
+  /**
+   * Stops refreshing. The cached data is kept.
+   */
+  stop() {
+    if (!this.started) return;
+
+    this.started = false;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+
+    for (const eventName of this.options.refreshEvents) {
+      this.getModuleAPI(eventName).off(getShortEventName(eventName), this.onRefreshEvent);
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} eventName e.g. `vendor.module.eventName`
+   * @returns {object} The method proxy of the module emitting the event.
+   */
+  getModuleAPI(eventName) {
+    const [vendorName, moduleName] = eventName.split('.');
+    return this.world.brokerClient.api[vendorName][moduleName];
+  }
+
+  /**
+   * Returns the cached engines.
+   * @returns {object[]}
+   */
+  getEngines() {
+    return [...this.engines.values()];
+  }
+
+  /**
+   * @param {number} engineId
+   * @returns {object|undefined}
+   */
+  getEngine(engineId) {
+    return this.engines.get(engineId);
+  }
+
+  /**
+   * Returns the node tree of an engine. The tree is fetched on the first call and refreshed with the
+   * engine list afterwards, until `forgetNodes` is called.
+   * @param {number} engineId
+   * @returns {Promise.<object>}
+   */
+  async nodes(engineId) {
+    if (!this.nodeTrees.has(engineId)) {
+      this.nodeTrees.set(engineId, null);
+      await this.refreshNodes(engineId);
+    }
+
+    return this.nodeTrees.get(engineId) || (await this.refreshNodes(engineId));
+  }
+
+  /**
+   * Stops caching the node tree of an engine.
+   * @param {number} engineId
+   */
+  forgetNodes(engineId) {
+    this.nodeTrees.delete(engineId);
+  }
+
+  /**
+   * Fetches the engine list and the requested node trees, and emits the differences. Calls made
+   * while a refresh is in progress share its result.
+   * @returns {Promise}
+   */
+  refresh() {
+    if (this.pendingRefresh) return this.pendingRefresh;
+
+    clearTimeout(this.pollTimer);
+
+    this.pendingRefresh = this.refreshAll()
+      .catch((ex) => {
+        this.emit('refresherror', ex);
+        throw ex;
+      })
+      .finally(() => {
+        this.pendingRefresh = null;
+
+        if (this.started && this.options.interval) {
+          this.pollTimer = setTimeout(this.onRefreshEvent, this.options.interval);
+        }
+      });
+
+    return this.pendingRefresh;
+  }
+
+  /**
+   * @private
+   */
+  async refreshAll() {
+    this.updateEngines((await this.world.engines()) || []);
+
+    await Promise.all(
+      [...this.nodeTrees.keys()].filter((engineId) => this.engines.has(engineId)).map((engineId) => this.refreshNodes(engineId))
+    );
+  }
+
+  /**
+   * @private
+   * @param {object[]} engines
+   */
+  updateEngines(engines) {
+    const previousEngines = this.engines;
+    this.engines = new Map(engines.map((engine) => [engine.id, engine]));
+
+    for (const [engineId, engine] of this.engines) {
+      const previousEngine = previousEngines.get(engineId);
+
+      if (!previousEngine) {
+        this.emit('engineadded', engine);
+        continue;
+      }
+
+      const changedKeys = [...new Set([...Object.keys(previousEngine), ...Object.keys(engine)])].filter(
+        (key) =>
+          !this.options.ignoredEngineKeys.includes(key) && JSON.stringify(previousEngine[key]) !== JSON.stringify(engine[key])
+      );
+
+      if (changedKeys.length) {
+        this.emit('enginechanged', engine, previousEngine, changedKeys);
+      }
+    }
+
+    for (const [engineId, previousEngine] of previousEngines) {
+      if (!this.engines.has(engineId)) {
+        this.emit('engineremoved', previousEngine);
+
+        if (this.nodeTrees.has(engineId)) {
+          this.nodeTrees.set(engineId, null);
+        }
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {number} engineId
+   * @returns {Promise.<object>}
+   */
+  async refreshNodes(engineId) {
+    const tree = (await this.world.engine(engineId).nodes()) || {};
+
+    // The engine might have been forgotten in the meantime
+    if (!this.nodeTrees.has(engineId)) return tree;
+
+    const previousTree = this.nodeTrees.get(engineId);
+    this.nodeTrees.set(engineId, tree);
+
+    // Nothing to compare on the first fetch
+    if (!previousTree) return tree;
+
+    for (const key of Object.keys(tree)) {
+      if (!(key in previousTree)) {
+        this.emit('nodeadded', engineId, normalizeNodePath(key), tree[key]);
+      }
+    }
+
+    for (const key of Object.keys(previousTree)) {
+      if (!(key in tree)) {
+        this.emit('noderemoved', engineId, normalizeNodePath(key), previousTree[key]);
+      }
+    }
+
+    return tree;
+  }
+}
+
+function getShortEventName(eventName) {
+  return eventName.split('.').slice(2).join('.');
+}
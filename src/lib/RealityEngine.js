@@ -0,0 +1,80 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import RealityNode from './RealityNode.js';
+
+/**
+ * One or more engines. Commands sent through a group of engines are sent in a single request.
+ * @param {RealityWorld} world
+ * @param {number|number[]} [engineIds] Engine ID, engine IDs or `undefined` for all of the engines.
+ */
+export default class RealityEngine {
+  constructor(world, engineIds) {
+    if (engineIds !== undefined && !isEngineId(engineIds) && !(engineIds instanceof Array && engineIds.every(isEngineId))) {
+      throw new Error('engineIds must be an engine ID or an array of engine IDs');
+    }
+
+    this.world = world;
+    this.isSingle = isEngineId(engineIds);
+    this.engineIds = this.isSingle ? [engineIds] : engineIds;
+  }
+
+  /**
+   * ID of the engine, `undefined` if this is a group of engines.
+   * @type {number|undefined}
+   */
+  get id() {
+    return this.isSingle ? this.engineIds[0] : undefined;
+  }
+
+  /**
+   * Calls a method of the world API on the engines.
+   * @private
+   * @param {string} methodName e.g. `setNodeProperty`
+   * @param {object} params
+   * @returns {Promise}
+   */
+  send(methodName, params) {
+    const api = this.world.getWorldAPI();
+
+    // The world API sends the command to all of the engines if engineIds is not supplied
+    return this.engineIds ? api[methodName](params, this.engineIds) : api[methodName](params);
+  }
+
+  /**
+   * @param {string} nodePath e.g. `/Cyclorama`
+   * @returns {RealityNode}
+   */
+  node(nodePath) {
+    return new RealityNode(this, nodePath);
+  }
+
+  /**
+   * Returns the nodes running on the engine. Only available for a single engine.
+   * @returns {Promise.<Object.<string, object>>} Nodes keyed by their path without the leading `/`.
+   */
+  nodes() {
+    if (!this.isSingle) {
+      return Promise.reject(new Error('nodes() is only available for a single engine'));
+    }
+
+    return this.world.getWorldAPI().getNodes(this.id);
+  }
+}
+
+function isEngineId(value) {
+  return typeof value === 'number';
+}
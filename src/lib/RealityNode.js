@@ -0,0 +1,61 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import RealityProperty from './RealityProperty.js';
+import { normalizeFunctionPath, normalizeNodePath, toNodeTreeKey } from './realityPaths.js';
+
+/**
+ * A node on one or more engines.
+ * @param {RealityEngine} engine
+ * @param {string} nodePath e.g. `/Cyclorama` or `Cyclorama`
+ */
+export default class RealityNode {
+  constructor(engine, nodePath) {
+    this.engine = engine;
+    this.path = normalizeNodePath(nodePath);
+  }
+
+  /**
+   * @param {string} propertyPath e.g. `X`
+   * @returns {RealityProperty}
+   */
+  property(propertyPath) {
+    return new RealityProperty(this, propertyPath);
+  }
+
+  /**
+   * Calls a function of the node.
+   * @param {string} functionPath Function name (e.g. `AddProjection`) or full function path.
+   * @param {object} [params] Additional parameters of the function.
+   * @returns {Promise}
+   */
+  call(functionPath, params = {}) {
+    return this.engine.send('callNodeFunction', {
+      ...params,
+      NodePath: this.path,
+      FunctionPath: normalizeFunctionPath(this.path, functionPath),
+    });
+  }
+
+  /**
+   * Returns the description of the node in the output of `getNodes()`.
+   * @returns {Promise.<object|undefined>}
+   */
+  async describe() {
+    const nodes = await this.engine.nodes();
+    return nodes[toNodeTreeKey(this.path)];
+  }
+}
@@ -0,0 +1,92 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import { normalizePropertyPath } from './realityPaths.js';
+
+/**
+ * A property of a node on one or more engines.
+ * @param {RealityNode} node
+ * @param {string} propertyPath e.g. `X` or `Transform/Location`
+ */
+export default class RealityProperty {
+  constructor(node, propertyPath) {
+    this.node = node;
+    this.path = normalizePropertyPath(propertyPath);
+  }
+
+  /**
+   * @private
+   * @returns {{ NodePath: string, PropertyPath: string }}
+   */
+  getParams() {
+    return { NodePath: this.node.path, PropertyPath: this.path };
+  }
+
+  /**
+   * Sets the value of the property.
+   * @param {*} value
+   * @returns {Promise}
+   */
+  set(value) {
+    return this.node.engine.send('setNodeProperty', { ...this.getParams(), Value: value });
+  }
+
+  /**
+   * Gets the value of the property.
+   * @returns {Promise.<*>} The value if the node belongs to a single engine, the values on each engine otherwise.
+   */
+  async get() {
+    const results = await this.node.engine.send('getNodeProperty', this.getParams());
+    const values = (results || []).map((result) => result && result.Value);
+
+    return this.node.engine.isSingle ? values[0] : values;
+  }
+
+  /**
+   * Watches the value of the property. See `RealityWorld.watchProperty()`.
+   * @param {object} [options] Options
+   * @param {number} [options.interval=1000] Milliseconds between the polls.
+   * @param {number} [options.throttle=0] Minimum milliseconds between `change` events.
+   * @returns {PropertySubscription}
+   */
+  watch(options) {
+    const { world, engineIds, isSingle } = this.node.engine;
+    const params = this.getParams();
+
+    return world.watchProperty(params, isSingle ? engineIds[0] : engineIds, options);
+  }
+
+  /**
+   * Interpolates the value of the property.
+   * @param {*} endValue
+   * @param {object} [options] Options
+   * @param {*} [options.startValue] Defaults to the current value.
+   * @param {number} [options.duration=0] Milliseconds
+   * @param {number} [options.delay=0] Milliseconds
+   * @param {'Jump'|'Linear'|'EaseIn'|'EaseOut'|'EaseInOut'} [options.interpType='Jump']
+   * @returns {Promise}
+   */
+  interpolate(endValue, options = {}) {
+    const params = { ...this.getParams(), EndValue: endValue };
+
+    if (options.startValue !== undefined) params.StartValue = options.startValue;
+    if (options.duration !== undefined) params.Duration = options.duration;
+    if (options.delay !== undefined) params.Delay = options.delay;
+    if (options.interpType !== undefined) params.InterpType = options.interpType;
+
+    return this.node.engine.send('interpolate', params);
+  }
+}
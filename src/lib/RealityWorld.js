@@ -0,0 +1,151 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import PropertyWatcher from './PropertyWatcher.js';
+import RealityEngine from './RealityEngine.js';
+
+const DEFAULT_WATCH_OPTIONS = {
+  interval: 1000,
+  throttle: 0,
+};
+
+/**
+ * Controls Reality 5 (API v1.2+) engines through an object model instead of string paths:
+ *
+ *     const world = new RealityWorld(brokerClient);
+ *     await world.engine(79).node('/Cyclorama').property('X').set(1);
+ *
+ * Only the `api` tree of `brokerClient` is used, so a mock with the same shape can be used in tests.
+ * @param {BrokerBase|{ api: object }} brokerClient
+ * @param {object} [options] Options
+ * @param {string} [options.moduleName='hub.reality5_1_2_world'] Module implementing the world API.
+ * @param {number} [options.callTimeout] Timeout of the requests in milliseconds.
+ */
+export default class RealityWorld {
+  constructor(brokerClient, options = {}) {
+    if (!brokerClient || typeof brokerClient.api !== 'object') {
+      throw new Error('brokerClient is required');
+    }
+
+    const { moduleName = 'hub.reality5_1_2_world', callTimeout } = options;
+
+    if (typeof moduleName !== 'string' || moduleName.split('.').length !== 2) {
+      throw new Error('moduleName must be in the "vendor.module" format');
+    }
+
+    this.brokerClient = brokerClient;
+    this.moduleName = moduleName;
+    this.callTimeout = callTimeout;
+
+    /**
+     * Property watchers keyed by engine IDs, node path and property path.
+     * @type {Map<string, PropertyWatcher>}
+     */
+    this.propertyWatchers = new Map();
+
+    if (typeof brokerClient.once === 'function') {
+      brokerClient.once('destroy', () => this.unwatchAll());
+    }
+  }
+
+  /**
+   * Returns the method proxy of the world module.
+   * @private
+   * @returns {object}
+   */
+  getWorldAPI() {
+    const [vendorName, moduleName] = this.moduleName.split('.');
+    const api = this.brokerClient.api[vendorName][moduleName];
+
+    return this.callTimeout ? api.callTimeout(this.callTimeout) : api;
+  }
+
+  /**
+   * Lists the engines.
+   * @returns {Promise.<object[]>}
+   */
+  engines() {
+    return this.getWorldAPI().listEngines();
+  }
+
+  /**
+   * Returns an engine, or a group of engines if `engineIds` is an array.
+   * @param {number|number[]} engineIds
+   * @returns {RealityEngine}
+   */
+  engine(engineIds) {
+    if (engineIds === undefined) {
+      throw new Error('engine requires an engine ID or an array of engine IDs');
+    }
+
+    return new RealityEngine(this, engineIds);
+  }
+
+  /**
+   * Watches the value of a node property. Watching the same property on the same engines more than once
+   * shares a single poll.
+   * @param {object} params
+   * @param {string} params.NodePath
+   * @param {string} params.PropertyPath
+   * @param {number|number[]} [engineIds] Engine ID or engine IDs. Defaults to all of the engines.
+   * @param {object} [options] Options
+   * @param {number} [options.interval=1000] Milliseconds between the polls.
+   * @param {number} [options.throttle=0] Minimum milliseconds between `change` events.
+   * @returns {PropertySubscription}
+   */
+  watchProperty(params, engineIds, options = {}) {
+    const { interval, throttle } = { ...DEFAULT_WATCH_OPTIONS, ...options };
+
+    if (typeof interval !== 'number' || interval <= 0) {
+      throw new Error('interval must be a positive number');
+    }
+
+    if (typeof throttle !== 'number' || throttle < 0) {
+      throw new Error('throttle must be a non-negative number');
+    }
+
+    const engine = engineIds === undefined ? this.allEngines() : this.engine(engineIds);
+    const property = engine.node(params.NodePath).property(params.PropertyPath);
+    const engineKey = engine.isSingle ? engine.id : engine.engineIds && [...engine.engineIds].sort();
+    const key = JSON.stringify([engineKey, property.node.path, property.path]);
+
+    let watcher = this.propertyWatchers.get(key);
+
+    if (!watcher) {
+      watcher = new PropertyWatcher(property, () => this.propertyWatchers.delete(key));
+      this.propertyWatchers.set(key, watcher);
+    }
+
+    return watcher.subscribe({ interval, throttle });
+  }
+
+  /**
+   * Stops all of the property watchers. Called when the BrokerClient is destroyed.
+   */
+  unwatchAll() {
+    for (const watcher of [...this.propertyWatchers.values()]) {
+      watcher.close();
+    }
+  }
+
+  /**
+   * Returns all of the engines as a group.
+   * @returns {RealityEngine}
+   */
+  allEngines() {
+    return new RealityEngine(this);
+  }
+}
@@ -0,0 +1,91 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+const DEFAULT_RECONNECT_OPTIONS = {
+  initialDelay: 1000,
+  multiplier: 2,
+  maxDelay: 30 * 1000,
+  jitter: 0.2,
+  maxAttempts: Infinity,
+};
+
+/**
+ * Computes the delays between reconnection attempts using exponential backoff.
+ * @param {object|boolean} [options] Options. Reconnection is disabled when set to `false`.
+ * @param {number} [options.initialDelay=1000] Delay before the first attempt in milliseconds.
+ * @param {number} [options.multiplier=2] Each delay is the previous one multiplied by this value.
+ * @param {number} [options.maxDelay=30000] Upper limit of a delay in milliseconds (before jitter is applied).
+ * @param {number} [options.jitter=0.2] Ratio of the delay that is randomized (between `0` and `1`).
+ * @param {number} [options.maxAttempts=Infinity] Attempts after which the policy gives up.
+ */
+export default class ReconnectPolicy {
+  constructor(options) {
+    this.enabled = options !== false;
+    this.options = {
+      ...DEFAULT_RECONNECT_OPTIONS,
+      ...(typeof options === 'object' ? options : {}),
+    };
+
+    const { initialDelay, multiplier, maxDelay, jitter, maxAttempts } = this.options;
+
+    if (typeof initialDelay !== 'number' || initialDelay < 0) {
+      throw new Error('reconnect.initialDelay must be a non-negative number');
+    }
+
+    if (typeof multiplier !== 'number' || multiplier < 1) {
+      throw new Error('reconnect.multiplier must be a number greater than or equal to 1');
+    }
+
+    if (typeof maxDelay !== 'number' || maxDelay < initialDelay) {
+      throw new Error('reconnect.maxDelay must be a number greater than or equal to initialDelay');
+    }
+
+    if (typeof jitter !== 'number' || jitter < 0 || jitter > 1) {
+      throw new Error('reconnect.jitter must be a number between 0 and 1');
+    }
+
+    if (typeof maxAttempts !== 'number' || maxAttempts < 0) {
+      throw new Error('reconnect.maxAttempts must be a non-negative number');
+    }
+
+    this.attempt = 0;
+  }
+
+  /**
+   * Advances to the next attempt.
+   * @returns {{ attempt: number, delay: number }|null} `null` if no more attempts should be made.
+   */
+  next() {
+    if (!this.enabled || this.attempt >= this.options.maxAttempts) {
+      return null;
+    }
+
+    const { initialDelay, multiplier, maxDelay, jitter } = this.options;
+    const baseDelay = Math.min(initialDelay * Math.pow(multiplier, this.attempt), maxDelay);
+    const delay = Math.round(baseDelay * (1 - jitter + Math.random() * jitter * 2));
+
+    this.attempt += 1;
+
+    return { attempt: this.attempt, delay: Math.max(0, delay) };
+  }
+
+  /**
+   * Resets the attempt counter. Called after a successful connection.
+   */
+  reset() {
+    this.attempt = 0;
+  }
+}
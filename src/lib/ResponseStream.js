@@ -0,0 +1,225 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import BrokerError from './BrokerError.js';
+import BrokerTimeoutError from './BrokerTimeoutError.js';
+import { AbortError } from './onceMultiple.js';
+
+/**
+ * Receives the chunks of a streamed response and exposes them as an async iterable.
+ *
+ * The handler can send `window` chunks before it has to wait for a `streamack` message. Consumed
+ * chunks are acknowledged in batches so the handler never gets too far ahead of the consumer.
+ * Breaking out of the iteration sends a `cancel` message to the handler.
+ * @param {BrokerBase} broker The broker that sent the request.
+ * @param {object} message The request. `message.stream.window` is the initial credit of the handler.
+ * @param {object} socket Socket instance the request was sent through.
+ * @param {number} timeout Maximum milliseconds to wait for the next chunk.
+ * @param {AbortSignal} [signal] Aborts the stream.
+ */
+export default class ResponseStream {
+  constructor(broker, message, socket, timeout, signal) {
+    this.broker = broker;
+    this.message = message;
+    this.socket = socket;
+    this.timeout = timeout;
+    this.signal = signal;
+    this.window = message.stream.window;
+
+    this.chunks = [];
+    this.pending = new Map();
+    this.nextSequence = 0;
+    this.consumed = 0;
+    this.done = false;
+    this.error = null;
+    this.waiter = null;
+    this.timer = null;
+
+    this.onResponse = this.onResponse.bind(this);
+    this.onAbort = this.onAbort.bind(this);
+
+    broker.on(`response::${message.id}`, this.onResponse);
+
+    if (signal) {
+      signal.addEventListener('abort', this.onAbort);
+    }
+  }
+
+  /**
+   * @private
+   * @param {object} response
+   */
+  onResponse(response) {
+    // Progress reports are not a part of the stream
+    if (this.done || response.progress) return;
+
+    if (!response.success) {
+      const defaults = {
+        error: `${this.message.moduleName}'s "${this.message.type}" request has failed.`,
+        code: 'REQUEST_FAILED',
+        moduleName: this.message.targetModuleName,
+      };
+      const [errorData] = response.data instanceof Array ? response.data : [];
+
+      this.finish(
+        errorData && errorData.error ? BrokerError.fromJSON(errorData, defaults) : new BrokerError(defaults.error, defaults)
+      );
+      return;
+    }
+
+    // The handler didn't return an iterable, the whole response is a single chunk
+    if (!response.stream) {
+      this.chunks.push(response.data);
+      this.finish();
+      return;
+    }
+
+    this.pending.set(response.sequence, response);
+
+    while (this.pending.has(this.nextSequence)) {
+      const next = this.pending.get(this.nextSequence);
+      this.pending.delete(this.nextSequence);
+      this.nextSequence += 1;
+
+      if (next.stream === 'end') {
+        this.finish();
+        return;
+      }
+
+      this.chunks.push(next.data);
+    }
+
+    this.wake();
+  }
+
+  /**
+   * @private
+   */
+  onAbort() {
+    if (this.done) return;
+
+    this.broker.sendCancel(this.message, this.socket);
+    this.finish(new AbortError(`${this.message.type} is aborted.`));
+  }
+
+  /**
+   * Starts counting the time the consumer waits for the next chunk.
+   * @private
+   */
+  startTimer() {
+    if (!this.timeout) return;
+
+    this.timer = setTimeout(() => {
+      const elapsed = this.timeout;
+
+      this.broker.sendCancel(this.message, this.socket);
+      this.finish(
+        new BrokerTimeoutError(`${this.message.type} stream has not received a chunk for ${elapsed} milliseconds.`, {
+          messageType: this.message.type,
+          targetModuleName: this.message.targetModuleName,
+          elapsed,
+        })
+      );
+    }, this.timeout);
+  }
+
+  /**
+   * @private
+   * @param {Error} [error]
+   */
+  finish(error = null) {
+    this.done = true;
+    this.error = error;
+    clearTimeout(this.timer);
+    this.broker.removeListener(`response::${this.message.id}`, this.onResponse);
+
+    if (this.signal) {
+      this.signal.removeEventListener('abort', this.onAbort);
+    }
+
+    this.wake();
+  }
+
+  /**
+   * @private
+   */
+  wake() {
+    if (this.waiter) {
+      const resolve = this.waiter;
+      this.waiter = null;
+      resolve();
+    }
+  }
+
+  /**
+   * Tells the handler that the consumer is ready for more chunks.
+   * @private
+   */
+  acknowledge() {
+    this.consumed += 1;
+
+    if (this.done || this.consumed < Math.ceil(this.window / 2)) return;
+
+    const credit = this.consumed;
+    this.consumed = 0;
+
+    this.broker
+      .sendMessage(
+        {
+          type: 'streamack',
+          requestId: this.message.id,
+          targetModuleName: this.message.targetModuleName,
+          credit,
+        },
+        this.socket
+      )
+      .catch((err) => {
+        const logger = this.broker.logger || console;
+        logger.debug(`Couldn't acknowledge ${this.message.type} stream: ${err.message}`);
+      });
+  }
+
+  async *[Symbol.asyncIterator]() {
+    try {
+      while (true) {
+        if (this.chunks.length) {
+          const chunk = this.chunks.shift();
+          this.acknowledge();
+          yield chunk;
+          continue;
+        }
+
+        if (this.done) {
+          if (this.error) throw this.error;
+          return;
+        }
+
+        await new Promise((resolve) => {
+          this.waiter = resolve;
+          this.startTimer();
+        });
+
+        clearTimeout(this.timer);
+      }
+    } finally {
+      // The consumer has stopped iterating before the end of the stream
+      if (!this.done) {
+        this.broker.sendCancel(this.message, this.socket);
+        this.finish();
+      }
+    }
+  }
+}
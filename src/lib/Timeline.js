@@ -0,0 +1,655 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import EventEmitter from 'events';
+import interpolateValue, { INTERP_TYPES } from './interpolateValue.js';
+import { normalizeNodePath, normalizePropertyPath } from './realityPaths.js';
+
+const TIMELINE_VERSION = 1;
+
+/**
+ * Plays cues that set and interpolate node properties on one or more engines. A timeline is a tree of
+ * plain JSON steps built with the static helpers, so it can be saved with `JSON.stringify(timeline)` and
+ * loaded with `Timeline.fromJSON()`:
+ *
+ *     const timeline = new Timeline(world, Timeline.serial(
+ *       Timeline.cue('intro'),
+ *       Timeline.parallel(
+ *         Timeline.interpolate({ NodePath: '/Cyclorama', PropertyPath: 'X', engineIds: 79 }, 10, { duration: 2000 }),
+ *         Timeline.interpolate({ NodePath: '/Cyclorama', PropertyPath: 'Y', engineIds: [79, 80] }, 5, { duration: 1000 })
+ *       ),
+ *       Timeline.delay(500),
+ *       Timeline.cue('outro'),
+ *       Timeline.set({ NodePath: '/Cyclorama', PropertyPath: 'X' }, 0)
+ *     ));
+ *
+ * The engines interpolate the properties, the timeline sends the commands on time. When an interpolation
+ * is paused, seeked or resumed halfway, its current value is approximated on the client.
+ *
+ * Events:
+ * - `play` (position)
+ * - `pause` (position)
+ * - `seek` (position)
+ * - `cue` (name, time)
+ * - `finish`
+ * - `cancel`
+ * - `commanderror` (error, action)
+ * @param {RealityWorld} world
+ * @param {object} [root] Root step. Defaults to an empty serial group.
+ */
+export default class Timeline extends EventEmitter {
+  constructor(world, root = Timeline.serial()) {
+    super();
+
+    this.world = world;
+    this.root = root;
+    this.compiled = compile(root);
+
+    /** @type {'idle'|'playing'|'paused'|'finished'|'cancelled'} */
+    this.state = 'idle';
+    this.position = 0;
+    this.startTime = null;
+    this.timers = [];
+    this.generation = 0;
+    this.resolvePlay = null;
+    this.playPromise = null;
+
+    /**
+     * Values of the properties before the timeline has changed them, keyed by target.
+     * @type {Map<string, *>}
+     */
+    this.startValues = new Map();
+  }
+
+  /**
+   * Steps run one after the other.
+   * @param {...object} steps
+   * @returns {object}
+   */
+  static serial(...steps) {
+    return { type: 'serial', steps };
+  }
+
+  /**
+   * Steps start at the same time. The group ends with its longest step.
+   * @param {...object} steps
+   * @returns {object}
+   */
+  static parallel(...steps) {
+    return { type: 'parallel', steps };
+  }
+
+  /**
+   * @param {number} duration Milliseconds
+   * @returns {object}
+   */
+  static delay(duration) {
+    return { type: 'delay', duration };
+  }
+
+  /**
+   * A named position that can be seeked to.
+   * @param {string} name
+   * @returns {object}
+   */
+  static cue(name) {
+    return { type: 'cue', name };
+  }
+
+  /**
+   * Sets a property.
+   * @param {{ NodePath: string, PropertyPath: string, engineIds?: number|number[] }} target Defaults to
+   * all of the engines if `engineIds` is not set.
+   * @param {*} value
+   * @returns {object}
+   */
+  static set(target, value) {
+    return { type: 'set', target: normalizeTarget(target), value };
+  }
+
+  /**
+   * Interpolates a property.
+   * @param {{ NodePath: string, PropertyPath: string, engineIds?: number|number[] }} target
+   * @param {*} to End value
+   * @param {object} [options] Options
+   * @param {*} [options.from] Start value. Defaults to the value set by the previous step of the property,
+   * or to the value read from the engines when the timeline starts playing.
+   * @param {number} [options.duration=0] Milliseconds
+   * @param {'Jump'|'Linear'|'EaseIn'|'EaseOut'|'EaseInOut'} [options.interpType='Linear']
+   * @returns {object}
+   */
+  static interpolate(target, to, options = {}) {
+    const { from, duration = 0, interpType = 'Linear' } = options;
+    return { type: 'interpolate', target: normalizeTarget(target), from, to, duration, interpType };
+  }
+
+  /**
+   * Sets a property to the value of the first keyframe, then interpolates it to the value of each
+   * following keyframe.
+   * @param {{ NodePath: string, PropertyPath: string, engineIds?: number|number[] }} target
+   * @param {{ time: number, value: *, interpType?: string }[]} keyframes Times are in milliseconds, relative
+   * to the start of the step. `interpType` (defaults to `'Linear'`) is the curve leading to the keyframe.
+   * @returns {object}
+   */
+  static keyframes(target, keyframes) {
+    return { type: 'keyframes', target: normalizeTarget(target), keyframes };
+  }
+
+  /**
+   * Loads a timeline saved with `JSON.stringify()`.
+   * @param {RealityWorld} world
+   * @param {string|object} json
+   * @returns {Timeline}
+   */
+  static fromJSON(world, json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+    if (!data || data.version !== TIMELINE_VERSION) {
+      throw new Error(`Unsupported timeline version: ${data && data.version}`);
+    }
+
+    return new Timeline(world, data.root);
+  }
+
+  toJSON() {
+    return { version: TIMELINE_VERSION, root: this.root };
+  }
+
+  /**
+   * Total duration in milliseconds.
+   * @type {number}
+   */
+  get duration() {
+    return this.compiled.duration;
+  }
+
+  /**
+   * @type {{ name: string, time: number }[]}
+   */
+  get cues() {
+    return this.compiled.cues.map((cue) => ({ ...cue }));
+  }
+
+  /**
+   * Current position in milliseconds.
+   * @returns {number}
+   */
+  getPosition() {
+    if (this.state !== 'playing' || this.startTime === null) return this.position;
+
+    return Math.min(Date.now() - this.startTime, this.duration);
+  }
+
+  /**
+   * Plays the timeline from the current position, or from the start if it has finished or is cancelled.
+   * @returns {Promise.<'finished'|'paused'|'cancelled'>} Resolves when the playback stops.
+   */
+  play() {
+    if (this.state === 'playing') return this.playPromise;
+
+    if (this.state === 'finished' || this.state === 'cancelled') {
+      this.position = 0;
+    }
+
+    this.state = 'playing';
+    this.playPromise = new Promise((resolve) => {
+      this.resolvePlay = resolve;
+    });
+
+    this.emit('play', this.position);
+    this.schedule();
+
+    return this.playPromise;
+  }
+
+  /**
+   * Pauses the playback. The properties being interpolated are stopped at their current values.
+   */
+  pause() {
+    if (this.state !== 'playing') return;
+
+    this.position = this.getPosition();
+    this.stop();
+    this.freeze(this.position);
+    this.state = 'paused';
+    this.emit('pause', this.position);
+    this.settle('paused');
+  }
+
+  /**
+   * Moves to a position and sets the properties to their values at that position. The playback
+   * continues from there if the timeline is playing.
+   * @param {number|string} positionOrCue Milliseconds or the name of a cue.
+   */
+  seek(positionOrCue) {
+    let position = positionOrCue;
+
+    if (typeof positionOrCue === 'string') {
+      const cue = this.compiled.cues.find(({ name }) => name === positionOrCue);
+
+      if (!cue) {
+        throw new Error(`Unknown cue: ${positionOrCue}`);
+      }
+
+      position = cue.time;
+    }
+
+    if (typeof position !== 'number' || position < 0 || position > this.duration) {
+      throw new Error(`position must be between 0 and ${this.duration}`);
+    }
+
+    const playing = this.state === 'playing';
+
+    if (playing) {
+      this.stop();
+    } else {
+      this.state = 'paused';
+    }
+
+    this.position = position;
+    this.applyValuesAt(position);
+    this.emit('seek', position);
+
+    if (playing) {
+      this.schedule();
+    }
+  }
+
+  /**
+   * Stops the playback and rewinds to the start. The properties keep their current values.
+   */
+  cancel() {
+    if (this.state === 'idle' || this.state === 'cancelled') return;
+
+    if (this.state === 'playing') {
+      this.stop();
+      this.freeze(this.getPosition());
+    }
+
+    this.state = 'cancelled';
+    this.position = 0;
+    this.emit('cancel');
+    this.settle('cancelled');
+  }
+
+  /**
+   * @private
+   * @param {string} result
+   */
+  settle(result) {
+    if (this.resolvePlay) {
+      const resolve = this.resolvePlay;
+      this.resolvePlay = null;
+      resolve(result);
+    }
+  }
+
+  /**
+   * Clears the timers of the playback.
+   * @private
+   */
+  stop() {
+    this.generation += 1;
+    this.startTime = null;
+
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+
+    this.timers = [];
+  }
+
+  /**
+   * Schedules the commands from the current position.
+   * @private
+   */
+  async schedule() {
+    const generation = (this.generation += 1);
+    const position = this.position;
+
+    await this.readStartValues(position);
+
+    // Paused, seeked or cancelled while reading the start values
+    if (generation !== this.generation) return;
+
+    this.startTime = Date.now() - position;
+
+    for (const action of this.compiled.actions) {
+      if (action.start >= position) {
+        this.timers.push(setTimeout(() => this.runAction(action, action.start), action.start - position));
+      } else if (action.end > position) {
+        this.runAction(action, position);
+      }
+    }
+
+    for (const cue of this.compiled.cues) {
+      if (cue.time >= position) {
+        this.timers.push(setTimeout(() => this.emit('cue', cue.name, cue.time), cue.time - position));
+      }
+    }
+
+    this.timers.push(
+      setTimeout(() => {
+        this.stop();
+        this.position = this.duration;
+        this.state = 'finished';
+        this.emit('finish');
+        this.settle('finished');
+      }, this.duration - position)
+    );
+  }
+
+  /**
+   * Reads the values of the properties interpolated without a known start value.
+   * @private
+   * @param {number} position
+   */
+  async readStartValues(position) {
+    const actions = this.compiled.actions.filter(
+      (action) =>
+        action.type === 'interpolate' && action.from === undefined && action.end > position && !this.startValues.has(action.key)
+    );
+
+    await Promise.all(
+      actions.map(async (action) => {
+        try {
+          const value = await this.getProperty(action.target).get();
+
+          // Engines of a group are assumed to be in sync
+          this.startValues.set(action.key, typeof action.target.engineIds === 'number' ? value : value[0]);
+        } catch (ex) {
+          this.emit('commanderror', ex, action);
+        }
+      })
+    );
+  }
+
+  /**
+   * @private
+   * @param {object} action
+   * @returns {*} `undefined` if the start value is not known.
+   */
+  getStartValue(action) {
+    return action.from !== undefined ? action.from : this.startValues.get(action.key);
+  }
+
+  /**
+   * @private
+   * @param {object} action
+   * @param {number} position
+   * @returns {*} `undefined` if the value is not known.
+   */
+  getValueAt(action, position) {
+    if (action.type === 'set' || position >= action.end) return action.to;
+
+    const from = this.getStartValue(action);
+    if (from === undefined) return;
+
+    return interpolateValue(from, action.to, (position - action.start) / (action.end - action.start), action.interpType);
+  }
+
+  /**
+   * Sends the command of an action, starting from `position`.
+   * @private
+   * @param {object} action
+   * @param {number} position
+   */
+  runAction(action, position) {
+    const property = this.getProperty(action.target);
+    let request;
+
+    if (action.type === 'set') {
+      request = property.set(action.to);
+    } else {
+      const options = { duration: action.end - position, interpType: action.interpType };
+      const startValue = position > action.start ? this.getValueAt(action, position) : this.getStartValue(action);
+
+      if (startValue !== undefined) {
+        options.startValue = startValue;
+      }
+
+      request = property.interpolate(action.to, options);
+    }
+
+    Promise.resolve(request).catch((ex) => this.emit('commanderror', ex, action));
+  }
+
+  /**
+   * Stops the interpolations in progress at their values at `position`.
+   * @private
+   * @param {number} position
+   */
+  freeze(position) {
+    for (const action of this.compiled.actions) {
+      if (action.type !== 'interpolate' || action.start >= position || action.end <= position) continue;
+
+      const value = this.getValueAt(action, position);
+
+      if (value !== undefined) {
+        this.setValue(action, value);
+      }
+    }
+  }
+
+  /**
+   * Sets each property to its value at `position`.
+   * @private
+   * @param {number} position
+   */
+  applyValuesAt(position) {
+    const lastActions = new Map();
+    const firstActions = new Map();
+
+    for (const action of this.compiled.actions) {
+      if (!firstActions.has(action.key)) {
+        firstActions.set(action.key, action);
+      }
+
+      if (action.start <= position) {
+        lastActions.set(action.key, action);
+      }
+    }
+
+    for (const [key, firstAction] of firstActions) {
+      const action = lastActions.get(key);
+
+      // The timeline hasn't changed the property yet, restore its start value
+      const value = action
+        ? this.getValueAt(action, position)
+        : firstAction.type === 'set'
+          ? undefined
+          : this.getStartValue(firstAction);
+
+      if (value !== undefined) {
+        this.setValue(action || firstAction, value);
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {object} action
+   * @param {*} value
+   */
+  setValue(action, value) {
+    Promise.resolve(this.getProperty(action.target).set(value)).catch((ex) => this.emit('commanderror', ex, action));
+  }
+
+  /**
+   * @private
+   * @param {{ NodePath: string, PropertyPath: string, engineIds?: number|number[] }} target
+   * @returns {RealityProperty}
+   */
+  getProperty(target) {
+    const engine = target.engineIds === undefined ? this.world.allEngines() : this.world.engine(target.engineIds);
+    return engine.node(target.NodePath).property(target.PropertyPath);
+  }
+}
+
+function normalizeTarget(target) {
+  if (!target || typeof target !== 'object') {
+    throw new Error('target must be an object with NodePath and PropertyPath');
+  }
+
+  const normalizedTarget = {
+    NodePath: normalizeNodePath(target.NodePath),
+    PropertyPath: normalizePropertyPath(target.PropertyPath),
+  };
+
+  if (target.engineIds !== undefined) {
+    normalizedTarget.engineIds = target.engineIds;
+  }
+
+  return normalizedTarget;
+}
+
+/**
+ * Flattens the steps to actions with absolute start and end times.
+ * @param {object} root
+ * @returns {{ duration: number, actions: object[], cues: { name: string, time: number }[] }}
+ */
+function compile(root) {
+  const actions = [];
+  const cues = [];
+  const duration = compileStep(root, 0, actions, cues);
+
+  actions.sort((a, b) => a.start - b.start);
+
+  // Interpolations without a start value start from where the previous step of the property has left it
+  const lastActions = new Map();
+
+  for (const action of actions) {
+    const lastAction = lastActions.get(action.key);
+
+    if (action.type === 'interpolate' && action.from === undefined && lastAction) {
+      action.from = lastAction.to;
+    }
+
+    lastActions.set(action.key, action);
+  }
+
+  return { duration, actions, cues };
+}
+
+/**
+ * @param {object} step
+ * @param {number} start Start time of the step in milliseconds.
+ * @param {object[]} actions
+ * @param {object[]} cues
+ * @returns {number} End time of the step.
+ */
+function compileStep(step, start, actions, cues) {
+  if (!step || typeof step !== 'object') {
+    throw new Error('Timeline steps must be objects');
+  }
+
+  switch (step.type) {
+    case 'serial':
+      return (step.steps || []).reduce((time, child) => compileStep(child, time, actions, cues), start);
+
+    case 'parallel':
+      return Math.max(start, ...(step.steps || []).map((child) => compileStep(child, start, actions, cues)));
+
+    case 'delay':
+      assertDuration(step.duration);
+      return start + step.duration;
+
+    case 'cue':
+      if (typeof step.name !== 'string' || !step.name) {
+        throw new Error('Cue name must be a non-empty string');
+      }
+
+      if (cues.some(({ name }) => name === step.name)) {
+        throw new Error(`Duplicate cue: ${step.name}`);
+      }
+
+      cues.push({ name: step.name, time: start });
+      return start;
+
+    case 'set':
+      actions.push(createAction('set', step.target, start, start, { to: step.value }));
+      return start;
+
+    case 'interpolate':
+      assertDuration(step.duration);
+      assertInterpType(step.interpType);
+      actions.push(
+        createAction('interpolate', step.target, start, start + step.duration, {
+          from: step.from,
+          to: step.to,
+          interpType: step.interpType,
+        })
+      );
+      return start + step.duration;
+
+    case 'keyframes': {
+      const { keyframes } = step;
+
+      if (!(keyframes instanceof Array) || !keyframes.length) {
+        throw new Error('keyframes must be a non-empty array');
+      }
+
+      keyframes.forEach(({ time, interpType = 'Linear' }, index) => {
+        assertDuration(time);
+        assertInterpType(interpType);
+
+        if (index && time < keyframes[index - 1].time) {
+          throw new Error('keyframes must be sorted by time');
+        }
+      });
+
+      const [first, ...rest] = keyframes;
+      actions.push(createAction('set', step.target, start + first.time, start + first.time, { to: first.value }));
+
+      rest.forEach((keyframe, index) => {
+        const previous = keyframes[index];
+
+        actions.push(
+          createAction('interpolate', step.target, start + previous.time, start + keyframe.time, {
+            from: previous.value,
+            to: keyframe.value,
+            interpType: keyframe.interpType || 'Linear',
+          })
+        );
+      });
+
+      return start + keyframes[keyframes.length - 1].time;
+    }
+
+    default:
+      throw new Error(`Unknown timeline step: ${step.type}`);
+  }
+}
+
+function createAction(type, target, start, end, fields) {
+  const normalizedTarget = normalizeTarget(target);
+  const { NodePath, PropertyPath, engineIds } = normalizedTarget;
+  const key = JSON.stringify([engineIds === undefined ? null : engineIds, NodePath, PropertyPath]);
+
+  return { type, target: normalizedTarget, key, start, end, ...fields };
+}
+
+function assertDuration(duration) {
+  if (typeof duration !== 'number' || duration < 0) {
+    throw new Error('Durations and times must be non-negative numbers');
+  }
+}
+
+function assertInterpType(interpType) {
+  if (!INTERP_TYPES.includes(interpType)) {
+    throw new Error(`interpType must be one of ${INTERP_TYPES.join(', ')}`);
+  }
+}
@@ -0,0 +1,32 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Computes the 32-bit FNV-1a hash of a string or a byte array. Used to verify reassembled chunked messages.
+ * @param {string|Uint8Array} packet
+ * @returns {number}
+ */
+export default function checksum(packet) {
+  const isString = typeof packet === 'string';
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < packet.length; i += 1) {
+    hash ^= isString ? packet.charCodeAt(i) : packet[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
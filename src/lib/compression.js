@@ -0,0 +1,134 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import BrokerError from './BrokerError.js';
+
+export const COMPRESSION_ALGORITHMS = ['gzip', 'deflate', 'deflate-raw'];
+
+// Keeps String.fromCharCode's argument count under the engines' limits
+const BASE64_BLOCK_SIZE = 0x8000;
+
+/**
+ * Returns `true` if the runtime can compress messages (Node.js 18+ and modern browsers).
+ * @returns {boolean}
+ */
+export function isCompressionSupported() {
+  return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+/**
+ * Pipes `bytes` through a (de)compression stream.
+ * @param {Uint8Array} bytes
+ * @param {TransformStream} transform
+ * @param {number} [maxSize] Output length after which the transform is aborted.
+ * @returns {Promise.<Uint8Array>}
+ */
+async function pipe(bytes, transform, maxSize = Infinity) {
+  const writer = transform.writable.getWriter();
+  const reader = transform.readable.getReader();
+  const chunks = [];
+  let length = 0;
+
+  // Errors are reported by the reader
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    length += value.length;
+
+    if (length > maxSize) {
+      await reader.cancel();
+      throw new BrokerError(`Decompressed message is larger than ${maxSize} bytes.`, { code: 'COMPRESSION_LIMIT' });
+    }
+
+    chunks.push(value);
+  }
+
+  const output = new Uint8Array(length);
+  let offset = 0;
+
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+
+  return output;
+}
+
+/**
+ * Compresses an encoded message. Text packets are compressed as UTF-8.
+ * @param {string|Uint8Array} packet
+ * @param {'gzip'|'deflate'|'deflate-raw'} algorithm
+ * @returns {Promise.<Uint8Array>}
+ */
+export function compress(packet, algorithm) {
+  const bytes = typeof packet === 'string' ? new TextEncoder().encode(packet) : packet;
+  return pipe(bytes, new CompressionStream(algorithm));
+}
+
+/**
+ * Decompresses the payload of a compressed message.
+ * @param {Uint8Array} bytes
+ * @param {string} algorithm
+ * @param {number} [maxSize] Maximum length of the decompressed payload.
+ * @returns {Promise.<Uint8Array>}
+ * @throws {BrokerError} If the algorithm is not supported, the payload is corrupt or too large.
+ */
+export async function decompress(bytes, algorithm, maxSize) {
+  if (!isCompressionSupported() || !COMPRESSION_ALGORITHMS.includes(algorithm)) {
+    throw new BrokerError(`Unsupported compression algorithm: ${algorithm}`, { code: 'COMPRESSION_UNSUPPORTED' });
+  }
+
+  try {
+    return await pipe(bytes, new DecompressionStream(algorithm), maxSize);
+  } catch (ex) {
+    if (ex instanceof BrokerError) throw ex;
+    throw new BrokerError(`Couldn't decompress the message: ${ex.message}`, { code: 'COMPRESSION_INVALID', cause: ex });
+  }
+}
+
+/**
+ * Encodes bytes in base64 so they can be sent in a JSON message.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function toBase64(bytes) {
+  let binary = '';
+
+  for (let i = 0; i < bytes.length; i += BASE64_BLOCK_SIZE) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + BASE64_BLOCK_SIZE));
+  }
+
+  return btoa(binary);
+}
+
+/**
+ * @param {string} text Base64 encoded bytes.
+ * @returns {Uint8Array}
+ */
+export function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  return bytes;
+}
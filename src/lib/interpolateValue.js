@@ -0,0 +1,63 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+const EASINGS = {
+  Jump: (t) => (t < 1 ? 0 : 1),
+  Linear: (t) => t,
+  EaseIn: (t) => t * t,
+  EaseOut: (t) => t * (2 - t),
+  EaseInOut: (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+};
+
+export const INTERP_TYPES = Object.keys(EASINGS);
+
+/**
+ * Approximates the value of a property being interpolated by an engine. Numbers, arrays of numbers
+ * and objects with number fields (e.g. vectors) are interpolated, other values jump to `to` at the end.
+ * @param {*} from Start value
+ * @param {*} to End value
+ * @param {number} progress Between `0` and `1`.
+ * @param {'Jump'|'Linear'|'EaseIn'|'EaseOut'|'EaseInOut'} [interpType='Jump']
+ * @returns {*}
+ */
+export default function interpolateValue(from, to, progress, interpType = 'Jump') {
+  const easing = EASINGS[interpType] || EASINGS.Jump;
+  const t = easing(Math.min(Math.max(progress, 0), 1));
+
+  return lerp(from, to, t);
+}
+
+function lerp(from, to, t) {
+  if (typeof from === 'number' && typeof to === 'number') {
+    return from + (to - from) * t;
+  }
+
+  if (from instanceof Array && to instanceof Array && from.length === to.length) {
+    return to.map((value, index) => lerp(from[index], value, t));
+  }
+
+  if (from && to && typeof from === 'object' && typeof to === 'object' && !(from instanceof Array)) {
+    const value = {};
+
+    for (const key of Object.keys(to)) {
+      value[key] = key in from ? lerp(from[key], to[key], t) : to[key];
+    }
+
+    return value;
+  }
+
+  return t < 1 ? from : to;
+}
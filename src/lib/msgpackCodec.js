@@ -0,0 +1,91 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import { ExtensionCodec, decode, encode } from '@msgpack/msgpack';
+
+// Extension type of each typed array, Uint8Arrays are sent as binaries
+const TYPED_ARRAYS = [
+  null,
+  Int8Array,
+  Uint8ClampedArray,
+  Int16Array,
+  Uint16Array,
+  Int32Array,
+  Uint32Array,
+  Float32Array,
+  Float64Array,
+  typeof BigInt64Array !== 'undefined' ? BigInt64Array : null,
+  typeof BigUint64Array !== 'undefined' ? BigUint64Array : null,
+];
+
+const extensionCodec = new ExtensionCodec();
+
+TYPED_ARRAYS.forEach((TypedArray, type) => {
+  if (!TypedArray) return;
+
+  extensionCodec.register({
+    type,
+    encode: (value) =>
+      value.constructor === TypedArray ? new Uint8Array(value.buffer, value.byteOffset, value.byteLength) : null,
+    // Copying aligns the data for the typed array
+    decode: (data) => new TypedArray(data.slice().buffer),
+  });
+});
+
+/**
+ * Converts a value the way `JSON.stringify` would, except for the binary data which is kept as is.
+ * @param {*} value
+ * @returns {*}
+ */
+function toEncodable(value) {
+  if (value === undefined || typeof value === 'function' || typeof value === 'symbol') return null;
+  if (typeof value === 'bigint') throw new TypeError('Do not know how to serialize a BigInt');
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof ArrayBuffer) return new Uint8Array(value);
+  if (ArrayBuffer.isView(value)) return value;
+  if (typeof value.toJSON === 'function') return toEncodable(value.toJSON());
+  if (value instanceof Array) return value.map(toEncodable);
+
+  const object = {};
+
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined || typeof item === 'function' || typeof item === 'symbol') continue;
+
+    // An assignment would set the prototype for a `__proto__` key
+    Object.defineProperty(object, key, { value: toEncodable(item), enumerable: true, writable: true, configurable: true });
+  }
+
+  return object;
+}
+
+/**
+ * A MessagePack codec. Messages are sent as binary frames.
+ *
+ * `Uint8Array`s (and `ArrayBuffer`s) are sent as MessagePack binaries and received as `Uint8Array`s. Other
+ * typed arrays are sent as extension types and received as the same kind of typed array. Everything else
+ * is encoded the way `JSON.stringify` would treat it, so switching codecs doesn't change the payloads.
+ * Received maps with a `__proto__` key are rejected.
+ * @type {Codec}
+ */
+const msgpackCodec = {
+  name: 'msgpack',
+  binary: true,
+  // The encoded bytes are a view of a larger buffer, copied so `packet.buffer` holds just the message
+  encode: (message) => encode(toEncodable(message), { extensionCodec }).slice(),
+  decode: (packet) => decode(packet, { extensionCodec }),
+};
+
+export default msgpackCodec;
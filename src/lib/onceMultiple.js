@@ -14,7 +14,7 @@
 // You should have received a copy of the GNU General Public License
 // along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
 
-class TimeoutError extends Error {
+export class TimeoutError extends Error {
   constructor(params) {
     super(params);
     this.code = 'TIMEOUT';
@@ -22,16 +22,40 @@ class TimeoutError extends Error {
   }
 }
 
-export default function onceMultiple(target, eventNames, timeout = null) {
+export class AbortError extends Error {
+  constructor(params) {
+    super(params);
+    this.code = 'ABORTED';
+    this.name = this.constructor.name;
+  }
+}
+
+export default function onceMultiple(target, eventNames, timeout = null, signal = null) {
   return new Promise((resolve, reject) => {
     let timer;
     let handler;
     let removeListeners;
+    let onAbort;
+
+    if (signal && signal.aborted) {
+      reject(new AbortError('Aborted.'));
+      return;
+    }
 
     removeListeners = () => {
       for (const eventName of eventNames) {
         target.removeListener(eventName, handler);
       }
+
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+
+    onAbort = () => {
+      removeListeners();
+      clearTimeout(timer);
+      reject(new AbortError('Aborted.'));
     };
 
     handler = (...args) => {
@@ -44,6 +68,10 @@ export default function onceMultiple(target, eventNames, timeout = null) {
       target.once(eventName, handler);
     }
 
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+
     if (timeout) {
       timer = setTimeout(() => {
         removeListeners();
@@ -0,0 +1,77 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Returns a node path with a single leading `/` and no trailing `/`. The node paths in the output of
+ * `getNodes()` omit the leading `/`, the inputs of the other methods require it.
+ * @param {string} nodePath e.g. `Cyclorama` or `/Cyclorama`
+ * @returns {string} e.g. `/Cyclorama`
+ */
+export function normalizeNodePath(nodePath) {
+  if (typeof nodePath !== 'string' || !nodePath.replace(/\//g, '').trim()) {
+    throw new Error('nodePath must be a non-empty string');
+  }
+
+  return `/${trimSlashes(nodePath)}`;
+}
+
+/**
+ * Returns the path of a node function. `functionPath` can be a function name relative to the node or a
+ * full function path with or without the leading `/`.
+ * @param {string} nodePath e.g. `/Cyclorama`
+ * @param {string} functionPath e.g. `AddProjection`, `Cyclorama/AddProjection` or `/Cyclorama/AddProjection`
+ * @returns {string} e.g. `/Cyclorama/AddProjection`
+ */
+export function normalizeFunctionPath(nodePath, functionPath) {
+  if (typeof functionPath !== 'string' || !functionPath.replace(/\//g, '').trim()) {
+    throw new Error('functionPath must be a non-empty string');
+  }
+
+  const node = trimSlashes(nodePath);
+  const path = trimSlashes(functionPath);
+
+  return path.startsWith(`${node}/`) ? `/${path}` : `/${node}/${path}`;
+}
+
+/**
+ * Returns a property path without leading and trailing `/`.
+ * @param {string} propertyPath e.g. `X` or `Transform/Location`
+ * @returns {string}
+ */
+export function normalizePropertyPath(propertyPath) {
+  if (typeof propertyPath !== 'string' || !propertyPath.replace(/\//g, '').trim()) {
+    throw new Error('propertyPath must be a non-empty string');
+  }
+
+  return trimSlashes(propertyPath);
+}
+
+/**
+ * Returns the key of a node or a function in the output of `getNodes()`.
+ * @param {string} path e.g. `/Cyclorama`
+ * @returns {string} e.g. `Cyclorama`
+ */
+export function toNodeTreeKey(path) {
+  return trimSlashes(path);
+}
+
+function trimSlashes(path) {
+  return path
+    .trim()
+    .split('/')
+    .filter((segment) => segment)
+    .join('/');
+}
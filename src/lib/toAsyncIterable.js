@@ -0,0 +1,47 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+/**
+ * Returns an async iterable if `value` can be streamed (async iterators, Node.js streams and
+ * WHATWG `ReadableStream`s), `null` otherwise.
+ * @param {*} value
+ * @returns {AsyncIterable|null}
+ */
+export default function toAsyncIterable(value) {
+  if (!value || typeof value !== 'object') return null;
+
+  if (typeof value[Symbol.asyncIterator] === 'function') return value;
+
+  if (typeof value.getReader === 'function') {
+    return {
+      async *[Symbol.asyncIterator]() {
+        const reader = value.getReader();
+
+        try {
+          while (true) {
+            const { value: chunk, done } = await reader.read();
+            if (done) return;
+            yield chunk;
+          }
+        } finally {
+          reader.releaseLock();
+        }
+      },
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,319 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+// Keywords that only describe the schema
+const ANNOTATION_KEYWORDS = ['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'deprecated'];
+
+// Keywords whose value is a schema, a list of schemas or a map of schemas
+const SCHEMA_KEYWORDS = ['items', 'additionalProperties', 'not'];
+const SCHEMA_LIST_KEYWORDS = ['prefixItems', 'allOf', 'anyOf', 'oneOf'];
+const SCHEMA_MAP_KEYWORDS = ['properties'];
+
+const SUPPORTED_KEYWORDS = [
+  ...ANNOTATION_KEYWORDS,
+  ...SCHEMA_KEYWORDS,
+  ...SCHEMA_LIST_KEYWORDS,
+  ...SCHEMA_MAP_KEYWORDS,
+  'type',
+  'enum',
+  'const',
+  'required',
+  'dependentRequired',
+  'minProperties',
+  'maxProperties',
+  'minItems',
+  'maxItems',
+  'uniqueItems',
+  'minimum',
+  'maximum',
+  'exclusiveMinimum',
+  'exclusiveMaximum',
+  'multipleOf',
+  'minLength',
+  'maxLength',
+  'pattern',
+];
+
+// Compiled `pattern`s of the checked schemas
+const patterns = new WeakMap();
+
+/**
+ * Returns the JSON Schema type of a value. Integers are `'integer'`, other numbers are `'number'`.
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (value instanceof Array) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  const actualType = typeOf(value);
+  return actualType === type || (type === 'number' && actualType === 'integer');
+}
+
+/**
+ * Compares two JSON values. The order of the properties of objects doesn't matter.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+  const type = typeOf(a);
+
+  if (type !== typeOf(b)) return false;
+
+  if (type === 'array') {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+
+  if (type === 'object') {
+    const keys = Object.keys(a);
+
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]))
+    );
+  }
+
+  return a === b;
+}
+
+/**
+ * Checks that a schema only uses the supported keywords and compiles its patterns. Called when a schema is
+ * registered, so a schema that would be ignored or would fail on the first request is rejected early.
+ * @param {object|boolean} schema
+ * @param {string} [path='#'] Location of the schema, used in the errors.
+ * @throws {Error} If the schema is not supported.
+ */
+export function checkSchema(schema, path = '#') {
+  if (typeof schema === 'boolean') return;
+
+  if (!schema || typeof schema !== 'object' || schema instanceof Array) {
+    throw new Error(`Schema at ${path} must be an object or a boolean.`);
+  }
+
+  for (const keyword of Object.keys(schema)) {
+    if (!SUPPORTED_KEYWORDS.includes(keyword)) {
+      throw new Error(`Schema keyword "${keyword}" at ${path} is not supported.`);
+    }
+  }
+
+  if (schema.pattern !== undefined) {
+    try {
+      patterns.set(schema, new RegExp(schema.pattern, 'u'));
+    } catch (ex) {
+      throw new Error(`Schema pattern at ${path} is invalid: ${ex.message}`);
+    }
+  }
+
+  for (const keyword of SCHEMA_KEYWORDS) {
+    if (schema[keyword] !== undefined) {
+      checkSchema(schema[keyword], `${path}/${keyword}`);
+    }
+  }
+
+  for (const keyword of SCHEMA_LIST_KEYWORDS) {
+    if (schema[keyword] === undefined) continue;
+
+    if (!(schema[keyword] instanceof Array)) {
+      throw new Error(`Schema keyword "${keyword}" at ${path} must be an array of schemas.`);
+    }
+
+    schema[keyword].forEach((subschema, index) => checkSchema(subschema, `${path}/${keyword}/${index}`));
+  }
+
+  for (const keyword of SCHEMA_MAP_KEYWORDS) {
+    for (const [name, subschema] of Object.entries(schema[keyword] || {})) {
+      checkSchema(subschema, `${path}/${keyword}/${name}`);
+    }
+  }
+}
+
+/**
+ * Validates a value against a JSON Schema. Supports a subset of the specification: `type`, `enum`, `const`,
+ * `properties`, `required`, `dependentRequired`, `additionalProperties`, `minProperties`, `maxProperties`, `items`,
+ * `prefixItems`, `minItems`, `maxItems`, `uniqueItems`, `minimum`, `maximum`, `exclusiveMinimum`,
+ * `exclusiveMaximum`, `multipleOf`, `minLength`, `maxLength`, `pattern`, `allOf`, `anyOf`, `oneOf` and `not`.
+ * Use `checkSchema()` to reject the schemas with other keywords.
+ * @param {*} value
+ * @param {object|boolean} schema
+ * @param {string} [path=''] JSON Pointer of the value, used in the errors.
+ * @returns {{ path: string, message: string }[]} Validation errors. Empty if the value is valid.
+ */
+export default function validateSchema(value, schema, path = '') {
+  if (schema === true || schema === undefined) return [];
+  if (schema === false) return [{ path, message: 'is not allowed' }];
+
+  const errors = [];
+  const fail = (message) => errors.push({ path, message });
+
+  if (schema.type !== undefined) {
+    const types = schema.type instanceof Array ? schema.type : [schema.type];
+
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((entry) => isEqual(entry, value))) {
+    fail(`must be one of ${schema.enum.map((entry) => JSON.stringify(entry)).join(', ')}`);
+  }
+
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  switch (typeOf(value)) {
+    case 'integer':
+    case 'number': {
+      if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        fail(`must be > ${schema.exclusiveMinimum}`);
+      }
+
+      if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+        fail(`must be < ${schema.exclusiveMaximum}`);
+      }
+
+      if (schema.multipleOf !== undefined) {
+        // Tolerates the rounding errors of decimal divisors like 0.1
+        const quotient = value / schema.multipleOf;
+
+        if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+          fail(`must be a multiple of ${schema.multipleOf}`);
+        }
+      }
+
+      break;
+    }
+
+    case 'string': {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        fail(`must not have fewer than ${schema.minLength} characters`);
+      }
+
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        fail(`must not have more than ${schema.maxLength} characters`);
+      }
+
+      if (schema.pattern !== undefined && !(patterns.get(schema) || new RegExp(schema.pattern, 'u')).test(value)) {
+        fail(`must match pattern "${schema.pattern}"`);
+      }
+
+      break;
+    }
+
+    case 'array': {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        fail(`must not have fewer than ${schema.minItems} items`);
+      }
+
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        fail(`must not have more than ${schema.maxItems} items`);
+      }
+
+      if (schema.uniqueItems && value.some((item, index) => value.findIndex((other) => isEqual(item, other)) !== index)) {
+        fail('must not have duplicate items');
+      }
+
+      const prefixItems = schema.prefixItems || [];
+
+      value.forEach((item, index) => {
+        const itemSchema = index < prefixItems.length ? prefixItems[index] : schema.items;
+        errors.push(...validateSchema(item, itemSchema, `${path}/${index}`));
+      });
+
+      break;
+    }
+
+    case 'object': {
+      const properties = schema.properties || {};
+
+      const names = Object.keys(value);
+
+      for (const name of schema.required || []) {
+        if (!Object.prototype.hasOwnProperty.call(value, name)) {
+          fail(`must have required property "${name}"`);
+        }
+      }
+
+      for (const [name, dependencies] of Object.entries(schema.dependentRequired || {})) {
+        if (!names.includes(name)) continue;
+
+        for (const dependency of dependencies) {
+          if (!names.includes(dependency)) {
+            fail(`must have property "${dependency}" when property "${name}" is present`);
+          }
+        }
+      }
+
+      if (schema.minProperties !== undefined && names.length < schema.minProperties) {
+        fail(`must not have fewer than ${schema.minProperties} properties`);
+      }
+
+      if (schema.maxProperties !== undefined && names.length > schema.maxProperties) {
+        fail(`must not have more than ${schema.maxProperties} properties`);
+      }
+
+      for (const [name, propertyValue] of Object.entries(value)) {
+        const propertyPath = `${path}/${name}`;
+
+        if (Object.prototype.hasOwnProperty.call(properties, name)) {
+          errors.push(...validateSchema(propertyValue, properties[name], propertyPath));
+        } else if (schema.additionalProperties === false) {
+          errors.push({ path: propertyPath, message: 'is not an allowed property' });
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(...validateSchema(propertyValue, schema.additionalProperties, propertyPath));
+        }
+      }
+
+      break;
+    }
+  }
+
+  for (const subschema of schema.allOf || []) {
+    errors.push(...validateSchema(value, subschema, path));
+  }
+
+  if (schema.anyOf && !schema.anyOf.some((subschema) => !validateSchema(value, subschema, path).length)) {
+    fail('must match a schema in anyOf');
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((subschema) => !validateSchema(value, subschema, path).length).length;
+
+    if (matches !== 1) {
+      fail(`must match exactly one schema in oneOf (matches ${matches})`);
+    }
+  }
+
+  if (schema.not !== undefined && !validateSchema(value, schema.not, path).length) {
+    fail('must not match the schema in not');
+  }
+
+  return errors;
+}
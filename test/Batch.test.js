@@ -0,0 +1,194 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import Batch from '../src/lib/Batch.js';
+import BrokerError from '../src/lib/BrokerError.js';
+import BrokerTimeoutError from '../src/lib/BrokerTimeoutError.js';
+
+/**
+ * A broker that records the messages and answers them with `respond(message)`.
+ */
+function createBroker(respond) {
+  const messages = [];
+
+  return {
+    messages,
+    async sendMessage(message) {
+      messages.push(message);
+      return respond(message);
+    },
+    serializeError(error) {
+      return error.toJSON ? error.toJSON() : { error: error.message };
+    },
+  };
+}
+
+const noBatchHandler = (message) =>
+  new BrokerError(`There is no handler registered for ${message.type}.`, { code: 'NO_HANDLER' });
+
+describe('Batch', () => {
+  it('sends the calls to each module in a single request and returns the results in order', async () => {
+    const broker = createBroker((message) => message.data.map(({ data }) => ({ success: true, data: data[0] * 2 })));
+    const batch = new Batch(broker);
+
+    batch.api.vendor.a.double(1).double(2);
+    batch.api.vendor.b.double(3);
+    batch.add('vendor.a.double', [4]);
+
+    assert.equal(batch.size, 4);
+    assert.deepEqual(await batch.send(), [
+      { success: true, data: 2 },
+      { success: true, data: 4 },
+      { success: true, data: 6 },
+      { success: true, data: 8 },
+    ]);
+    assert.deepEqual(
+      broker.messages.map(({ type, targetModuleName, data, batch }) => ({ type, targetModuleName, data, batch })),
+      [
+        {
+          type: 'vendor.a.batch',
+          targetModuleName: 'vendor.a',
+          data: [
+            { type: 'vendor.a.double', data: [1] },
+            { type: 'vendor.a.double', data: [2] },
+            { type: 'vendor.a.double', data: [4] },
+          ],
+          batch: { atomic: false },
+        },
+        {
+          type: 'vendor.b.batch',
+          targetModuleName: 'vendor.b',
+          data: [{ type: 'vendor.b.double', data: [3] }],
+          batch: { atomic: false },
+        },
+      ]
+    );
+  });
+
+  it('rebuilds the errors of the failed calls', async () => {
+    const broker = createBroker(() => [{ success: false, error: { error: 'Bad value', code: 'INVALID' } }, undefined]);
+    const [first, second] = await new Batch(broker).api.vendor.a.set(1).set(2).send();
+
+    assert.equal(first.success, false);
+    assert.ok(first.error instanceof BrokerError);
+    assert.equal(first.error.code, 'INVALID');
+    assert.equal(first.error.moduleName, 'vendor.a');
+    assert.equal(second.error.message, 'vendor.a.set has failed.');
+    assert.equal(second.error.code, 'REQUEST_FAILED');
+  });
+
+  it('sends the calls one by one to a module without a batch handler', async () => {
+    const broker = createBroker((message) => {
+      if (message.type.endsWith('.batch')) throw noBatchHandler(message);
+      return message.data[0] + 1;
+    });
+
+    assert.deepEqual(await new Batch(broker).api.vendor.a.inc(1).inc(2).send(), [
+      { success: true, data: 2 },
+      { success: true, data: 3 },
+    ]);
+    assert.deepEqual(
+      broker.messages.map(({ type }) => type),
+      ['vendor.a.batch', 'vendor.a.inc', 'vendor.a.inc']
+    );
+  });
+
+  it('falls back on the message of older modules that do not send the NO_HANDLER code', async () => {
+    const broker = createBroker((message) => {
+      if (message.type.endsWith('.batch')) throw new Error(`There is no handler registered for ${message.type}.`);
+      return 'ok';
+    });
+
+    assert.deepEqual(await new Batch(broker).api.vendor.a.run().send(), [{ success: true, data: 'ok' }]);
+  });
+
+  it('fails every call without sending them again when the batch times out', async () => {
+    const timeout = new BrokerTimeoutError('vendor.a.batch has timed out.', { messageType: 'vendor.a.batch', elapsed: 100 });
+    const broker = createBroker(() => {
+      throw timeout;
+    });
+    const results = await new Batch(broker).api.vendor.a.run(1).run(2).send();
+
+    assert.deepEqual(results, [
+      { success: false, error: timeout },
+      { success: false, error: timeout },
+    ]);
+    assert.equal(broker.messages.length, 1);
+  });
+
+  it('fails every call when the batch is not answered with an array', async () => {
+    const results = await new Batch(createBroker(() => undefined)).api.vendor.a.run().send();
+
+    assert.equal(results[0].error.code, 'NO_RESPONSE');
+  });
+
+  it('rejects an atomic batch with BATCH_FAILED when a call fails', async () => {
+    const broker = createBroker(() => [{ success: true }, { success: false, error: { error: 'Bad value' } }]);
+    const batch = new Batch(broker, { atomic: true });
+
+    batch.api.vendor.a.set(1).set(2);
+
+    await assert.rejects(batch.send(), (error) => {
+      assert.equal(error.code, 'BATCH_FAILED');
+      assert.equal(error.message, '1 of 2 batched calls have failed: Bad value');
+      assert.deepEqual(
+        error.details.failures.map(({ index, type }) => ({ index, type })),
+        [{ index: 1, type: 'vendor.a.set' }]
+      );
+      return true;
+    });
+    assert.deepEqual(broker.messages[0].batch, { atomic: true });
+  });
+
+  it('skips the rest of the calls of an atomic batch sent one by one after a failure', async () => {
+    const broker = createBroker((message) => {
+      if (message.type.endsWith('.batch')) throw noBatchHandler(message);
+      if (message.type === 'vendor.a.fail') throw new BrokerError('Failed');
+      return 'ok';
+    });
+    const batch = new Batch(broker, { atomic: true });
+
+    batch.api.vendor.a.run().fail().run();
+
+    await assert.rejects(batch.send(), (error) => {
+      assert.equal(error.code, 'BATCH_FAILED');
+      assert.deepEqual(
+        error.details.failures.map(({ index }) => index),
+        [1, 2]
+      );
+      return true;
+    });
+    assert.deepEqual(
+      broker.messages.map(({ type }) => type),
+      ['vendor.a.batch', 'vendor.a.run', 'vendor.a.fail']
+    );
+  });
+
+  it('cannot be changed or sent again after it has been sent', async () => {
+    const batch = new Batch(createBroker(() => []));
+
+    await batch.send();
+
+    assert.throws(() => batch.add('vendor.a.run'), /Calls cannot be added to a batch that has been sent/);
+    await assert.rejects(batch.send(), /The batch has already been sent/);
+  });
+
+  it('rejects calls that are not fully qualified', () => {
+    assert.throws(() => new Batch(createBroker(() => [])).add('a.run'), /type must be in the "vendor.module.method" format/);
+  });
+});
@@ -0,0 +1,99 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import EventPatternSet, { isEventPattern, validateEventPattern } from '../src/lib/EventPatternSet.js';
+
+describe('isEventPattern', () => {
+  it('tells if an event name has wildcard segments', () => {
+    assert.equal(isEventPattern('vendor.module.engine.*'), true);
+    assert.equal(isEventPattern('vendor.module.**'), true);
+    assert.equal(isEventPattern('vendor.module.engine.started'), false);
+    assert.equal(isEventPattern('vendor.module.engine*'), false);
+  });
+});
+
+describe('validateEventPattern', () => {
+  it('accepts whole segment wildcards after the module name', () => {
+    assert.doesNotThrow(() => validateEventPattern('vendor.module.*.started'));
+    assert.doesNotThrow(() => validateEventPattern('vendor.module.**'));
+  });
+
+  it('rejects wildcards in the vendor or module name', () => {
+    assert.throws(() => validateEventPattern('vendor.*.started'), /vendor and module names cannot have wildcards/);
+    assert.throws(() => validateEventPattern('**.started'), /vendor and module names cannot have wildcards/);
+  });
+
+  it('rejects partial segment wildcards', () => {
+    assert.throws(() => validateEventPattern('vendor.module.engine*'), /wildcards must be whole segments/);
+  });
+});
+
+describe('EventPatternSet', () => {
+  it('adds and deletes patterns once', () => {
+    const patterns = new EventPatternSet();
+
+    assert.equal(patterns.add('vendor.module.*'), true);
+    assert.equal(patterns.add('vendor.module.*'), false);
+    assert.equal(patterns.size, 1);
+    assert.equal(patterns.delete('vendor.module.*'), true);
+    assert.equal(patterns.delete('vendor.module.*'), false);
+    assert.equal(patterns.delete('vendor.other.*'), false);
+    assert.equal(patterns.size, 0);
+  });
+
+  it('matches * against exactly one segment', () => {
+    const patterns = new EventPatternSet();
+    patterns.add('vendor.module.engine.*');
+
+    assert.deepEqual(patterns.match('vendor.module.engine.started'), ['vendor.module.engine.*']);
+    assert.deepEqual(patterns.match('vendor.module.engine'), []);
+    assert.deepEqual(patterns.match('vendor.module.engine.node.started'), []);
+  });
+
+  it('matches ** against any number of segments, including none', () => {
+    const patterns = new EventPatternSet();
+    patterns.add('vendor.module.**');
+    patterns.add('vendor.module.**.stopped');
+
+    assert.deepEqual(patterns.match('vendor.module'), ['vendor.module.**']);
+    assert.deepEqual(patterns.match('vendor.module.engine.started'), ['vendor.module.**']);
+    assert.deepEqual(patterns.match('vendor.module.stopped').sort(), ['vendor.module.**', 'vendor.module.**.stopped']);
+    assert.deepEqual(patterns.match('vendor.module.engine.node.stopped').sort(), [
+      'vendor.module.**',
+      'vendor.module.**.stopped',
+    ]);
+    assert.deepEqual(patterns.match('vendor.other.stopped'), []);
+  });
+
+  it('returns each matching pattern once', () => {
+    const patterns = new EventPatternSet();
+    patterns.add('vendor.module.**.**');
+
+    assert.deepEqual(patterns.match('vendor.module.a.b.c'), ['vendor.module.**.**']);
+  });
+
+  it('does not match a deleted pattern that shares a branch with another pattern', () => {
+    const patterns = new EventPatternSet();
+    patterns.add('vendor.module.engine.*');
+    patterns.add('vendor.module.engine.*.done');
+    patterns.delete('vendor.module.engine.*');
+
+    assert.deepEqual(patterns.match('vendor.module.engine.started'), []);
+    assert.deepEqual(patterns.match('vendor.module.engine.render.done'), ['vendor.module.engine.*.done']);
+  });
+});
@@ -0,0 +1,202 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import RealityEngine from '../src/lib/RealityEngine.js';
+import RealityWorld from '../src/lib/RealityWorld.js';
+
+/**
+ * A BrokerClient whose world module records the calls and answers them with `responses[method]`.
+ */
+function createBrokerClient(responses = {}) {
+  const calls = [];
+
+  const createModule = (callTimeout) =>
+    new Proxy(
+      {},
+      {
+        get: (_, method) => {
+          if (method === 'callTimeout') return (timeout) => createModule(timeout);
+
+          return async (...args) => {
+            calls.push({ method, args, callTimeout });
+            const response = responses[method];
+            return typeof response === 'function' ? response(...args) : response;
+          };
+        },
+      }
+    );
+
+  return { calls, api: { hub: { reality5_1_2_world: createModule() } } };
+}
+
+describe('RealityWorld', () => {
+  it('requires a BrokerClient and a vendor.module name', () => {
+    assert.throws(() => new RealityWorld(), /brokerClient is required/);
+    assert.throws(
+      () => new RealityWorld({ api: {} }, { moduleName: 'world' }),
+      /moduleName must be in the "vendor.module" format/
+    );
+  });
+
+  it('lists the engines with the call timeout', async () => {
+    const brokerClient = createBrokerClient({ listEngines: [{ id: 79 }] });
+    const world = new RealityWorld(brokerClient, { callTimeout: 500 });
+
+    assert.deepEqual(await world.engines(), [{ id: 79 }]);
+    assert.deepEqual(brokerClient.calls, [{ method: 'listEngines', args: [], callTimeout: 500 }]);
+  });
+
+  it('returns single engines and groups of engines', () => {
+    const world = new RealityWorld(createBrokerClient());
+
+    assert.equal(world.engine(79).id, 79);
+    assert.equal(world.engine(79).isSingle, true);
+    assert.deepEqual(world.engine([79, 80]).engineIds, [79, 80]);
+    assert.equal(world.engine([79, 80]).id, undefined);
+    assert.equal(world.allEngines().engineIds, undefined);
+    assert.throws(() => world.engine(), /engine requires an engine ID/);
+    assert.throws(() => new RealityEngine(world, ['79']), /engineIds must be an engine ID or an array of engine IDs/);
+  });
+});
+
+describe('RealityEngine', () => {
+  it('sends the commands to its engines, or to all of the engines', async () => {
+    const brokerClient = createBrokerClient();
+    const world = new RealityWorld(brokerClient);
+
+    await world.engine(79).send('setNodeProperty', { Value: 1 });
+    await world.engine([79, 80]).send('setNodeProperty', { Value: 2 });
+    await world.allEngines().send('setNodeProperty', { Value: 3 });
+
+    assert.deepEqual(
+      brokerClient.calls.map(({ args }) => args),
+      [[{ Value: 1 }, [79]], [{ Value: 2 }, [79, 80]], [{ Value: 3 }]]
+    );
+  });
+
+  it('returns the nodes of a single engine only', async () => {
+    const brokerClient = createBrokerClient({ getNodes: (engineId) => ({ Cyclorama: { engineId } }) });
+    const world = new RealityWorld(brokerClient);
+
+    assert.deepEqual(await world.engine(79).nodes(), { Cyclorama: { engineId: 79 } });
+    await assert.rejects(world.engine([79, 80]).nodes(), /nodes\(\) is only available for a single engine/);
+  });
+});
+
+describe('RealityNode', () => {
+  it('calls the functions of the node', async () => {
+    const brokerClient = createBrokerClient();
+    const node = new RealityWorld(brokerClient).engine(79).node('Cyclorama');
+
+    assert.equal(node.path, '/Cyclorama');
+    await node.call('AddProjection', { Index: 1 });
+    await node.call('/Cyclorama/RemoveProjection');
+
+    assert.deepEqual(
+      brokerClient.calls.map(({ method, args }) => [method, args[0]]),
+      [
+        ['callNodeFunction', { Index: 1, NodePath: '/Cyclorama', FunctionPath: '/Cyclorama/AddProjection' }],
+        ['callNodeFunction', { NodePath: '/Cyclorama', FunctionPath: '/Cyclorama/RemoveProjection' }],
+      ]
+    );
+  });
+
+  it('describes the node with the output of getNodes()', async () => {
+    const world = new RealityWorld(createBrokerClient({ getNodes: { 'Group/Cyclorama': { type: 'Cyclorama' } } }));
+
+    assert.deepEqual(await world.engine(79).node('/Group/Cyclorama/').describe(), { type: 'Cyclorama' });
+    assert.equal(await world.engine(79).node('Missing').describe(), undefined);
+  });
+});
+
+describe('RealityProperty', () => {
+  it('sets the value of the property', async () => {
+    const brokerClient = createBrokerClient();
+    await new RealityWorld(brokerClient).engine(79).node('Cyclorama').property('/X/').set(10);
+
+    assert.deepEqual(brokerClient.calls[0], {
+      method: 'setNodeProperty',
+      args: [{ NodePath: '/Cyclorama', PropertyPath: 'X', Value: 10 }, [79]],
+      callTimeout: undefined,
+    });
+  });
+
+  it('gets the value on a single engine or the values on each engine', async () => {
+    const world = new RealityWorld(createBrokerClient({ getNodeProperty: [{ Value: 1 }, null, { Value: 3 }] }));
+
+    assert.equal(await world.engine(79).node('Cyclorama').property('X').get(), 1);
+    assert.deepEqual(await world.engine([79, 80, 81]).node('Cyclorama').property('X').get(), [1, null, 3]);
+  });
+
+  it('interpolates the value with the options that are set', async () => {
+    const brokerClient = createBrokerClient();
+    const property = new RealityWorld(brokerClient).allEngines().node('Cyclorama').property('X');
+
+    await property.interpolate(10);
+    await property.interpolate(10, { startValue: 0, duration: 1000, delay: 100, interpType: 'EaseIn' });
+
+    assert.deepEqual(
+      brokerClient.calls.map(({ method, args }) => [method, ...args]),
+      [
+        ['interpolate', { NodePath: '/Cyclorama', PropertyPath: 'X', EndValue: 10 }],
+        [
+          'interpolate',
+          {
+            NodePath: '/Cyclorama',
+            PropertyPath: 'X',
+            EndValue: 10,
+            StartValue: 0,
+            Duration: 1000,
+            Delay: 100,
+            InterpType: 'EaseIn',
+          },
+        ],
+      ]
+    );
+  });
+
+  it('shares a single poll between the watchers of the same property', async () => {
+    const brokerClient = createBrokerClient({ getNodeProperty: [{ Value: 5 }] });
+    const world = new RealityWorld(brokerClient);
+    const property = world.engine(79).node('Cyclorama').property('X');
+
+    const first = property.watch({ interval: 60000 });
+    const second = world.watchProperty({ NodePath: '/Cyclorama', PropertyPath: 'X' }, 79, { interval: 60000 });
+    const [[value]] = await Promise.all([
+      new Promise((resolve) => first.once('change', (...args) => resolve(args))),
+      new Promise((resolve) => second.once('change', resolve)),
+    ]);
+
+    assert.equal(value, 5);
+    assert.equal(world.propertyWatchers.size, 1);
+    assert.equal(brokerClient.calls.length, 1);
+
+    world.unwatchAll();
+
+    assert.equal(world.propertyWatchers.size, 0);
+    assert.equal(first.closed, true);
+    assert.equal(second.closed, true);
+  });
+
+  it('rejects invalid watch options', () => {
+    const property = new RealityWorld(createBrokerClient()).engine(79).node('Cyclorama').property('X');
+
+    assert.throws(() => property.watch({ interval: 0 }), /interval must be a positive number/);
+    assert.throws(() => property.watch({ throttle: -1 }), /throttle must be a non-negative number/);
+  });
+});
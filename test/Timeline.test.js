@@ -0,0 +1,139 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import Timeline from '../src/lib/Timeline.js';
+
+const X = { NodePath: 'Cyclorama', PropertyPath: 'X', engineIds: 79 };
+const Y = { NodePath: '/Cyclorama', PropertyPath: 'Y' };
+
+function compile(root) {
+  return new Timeline(null, root).compiled;
+}
+
+describe('Timeline compile', () => {
+  it('runs serial steps one after the other and parallel steps at the same time', () => {
+    const timeline = new Timeline(
+      null,
+      Timeline.serial(
+        Timeline.cue('intro'),
+        Timeline.parallel(Timeline.interpolate(X, 10, { duration: 2000 }), Timeline.interpolate(Y, 5, { duration: 1000 })),
+        Timeline.delay(500),
+        Timeline.cue('outro'),
+        Timeline.set(X, 0)
+      )
+    );
+
+    assert.equal(timeline.duration, 2500);
+    assert.deepEqual(timeline.cues, [
+      { name: 'intro', time: 0 },
+      { name: 'outro', time: 2500 },
+    ]);
+    assert.deepEqual(
+      timeline.compiled.actions.map(({ type, start, end, target }) => [type, start, end, target.PropertyPath]),
+      [
+        ['interpolate', 0, 2000, 'X'],
+        ['interpolate', 0, 1000, 'Y'],
+        ['set', 2500, 2500, 'X'],
+      ]
+    );
+  });
+
+  it('normalizes the targets', () => {
+    const [action] = compile(Timeline.set(X, 1)).actions;
+
+    assert.deepEqual(action.target, { NodePath: '/Cyclorama', PropertyPath: 'X', engineIds: 79 });
+  });
+
+  it('starts an interpolation without a start value where the previous step of the property has left it', () => {
+    const { actions } = compile(
+      Timeline.serial(
+        Timeline.set(X, 1),
+        Timeline.interpolate(X, 10, { duration: 100 }),
+        Timeline.interpolate(Y, 5, { duration: 100 }),
+        Timeline.interpolate(X, 20, { from: 0, duration: 100 })
+      )
+    );
+
+    assert.deepEqual(
+      actions.map(({ target, from }) => [target.PropertyPath, from]),
+      [
+        ['X', undefined],
+        ['X', 1],
+        ['Y', undefined],
+        ['X', 0],
+      ]
+    );
+  });
+
+  it('turns keyframes into a set followed by interpolations', () => {
+    const { duration, actions } = compile(
+      Timeline.serial(
+        Timeline.delay(100),
+        Timeline.keyframes(X, [
+          { time: 0, value: 0 },
+          { time: 500, value: 10, interpType: 'EaseIn' },
+          { time: 1000, value: 5 },
+        ])
+      )
+    );
+
+    assert.equal(duration, 1100);
+    assert.deepEqual(
+      actions.map(({ type, start, end, from, to, interpType }) => ({ type, start, end, from, to, interpType })),
+      [
+        { type: 'set', start: 100, end: 100, from: undefined, to: 0, interpType: undefined },
+        { type: 'interpolate', start: 100, end: 600, from: 0, to: 10, interpType: 'EaseIn' },
+        { type: 'interpolate', start: 600, end: 1100, from: 10, to: 5, interpType: 'Linear' },
+      ]
+    );
+  });
+
+  it('compiles an empty timeline', () => {
+    assert.deepEqual(compile(Timeline.serial()), { duration: 0, actions: [], cues: [] });
+    assert.equal(compile(Timeline.parallel()).duration, 0);
+  });
+
+  it('rejects invalid steps', () => {
+    assert.throws(() => compile(Timeline.serial(null)), /Timeline steps must be objects/);
+    assert.throws(() => compile({ type: 'loop' }), /Unknown timeline step: loop/);
+    assert.throws(() => compile(Timeline.delay(-1)), /Durations and times must be non-negative numbers/);
+    assert.throws(() => compile(Timeline.cue('')), /Cue name must be a non-empty string/);
+    assert.throws(() => compile(Timeline.serial(Timeline.cue('a'), Timeline.cue('a'))), /Duplicate cue: a/);
+    assert.throws(() => compile(Timeline.interpolate(X, 1, { interpType: 'Bounce' })), /interpType must be one of/);
+    assert.throws(() => compile(Timeline.keyframes(X, [])), /keyframes must be a non-empty array/);
+    assert.throws(
+      () =>
+        compile(
+          Timeline.keyframes(X, [
+            { time: 100, value: 0 },
+            { time: 0, value: 1 },
+          ])
+        ),
+      /keyframes must be sorted by time/
+    );
+  });
+
+  it('survives a JSON round trip', () => {
+    const timeline = new Timeline(null, Timeline.serial(Timeline.cue('a'), Timeline.interpolate(X, 1, { duration: 10 })));
+    const loaded = Timeline.fromJSON(null, JSON.stringify(timeline));
+
+    assert.equal(loaded.duration, 10);
+    assert.deepEqual(loaded.compiled, timeline.compiled);
+    assert.throws(() => Timeline.fromJSON(null, { version: 2 }), /Unsupported timeline version: 2/);
+  });
+});
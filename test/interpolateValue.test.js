@@ -0,0 +1,59 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import interpolateValue, { INTERP_TYPES } from '../src/lib/interpolateValue.js';
+
+describe('interpolateValue', () => {
+  it('lists the interpolation types of the engines', () => {
+    assert.deepEqual(INTERP_TYPES, ['Jump', 'Linear', 'EaseIn', 'EaseOut', 'EaseInOut']);
+  });
+
+  it('jumps to the end value at the end by default', () => {
+    assert.equal(interpolateValue(0, 10, 0.99), 0);
+    assert.equal(interpolateValue(0, 10, 1), 10);
+    assert.equal(interpolateValue(0, 10, 0.5, 'Unknown'), 0);
+  });
+
+  it('applies the easings', () => {
+    assert.equal(interpolateValue(0, 10, 0.5, 'Linear'), 5);
+    assert.equal(interpolateValue(0, 10, 0.5, 'EaseIn'), 2.5);
+    assert.equal(interpolateValue(0, 10, 0.5, 'EaseOut'), 7.5);
+    assert.equal(interpolateValue(0, 10, 0.25, 'EaseInOut'), 1.25);
+    assert.equal(interpolateValue(0, 10, 0.75, 'EaseInOut'), 8.75);
+  });
+
+  it('clamps the progress', () => {
+    assert.equal(interpolateValue(0, 10, -1, 'Linear'), 0);
+    assert.equal(interpolateValue(0, 10, 2, 'Linear'), 10);
+  });
+
+  it('interpolates arrays of the same length', () => {
+    assert.deepEqual(interpolateValue([0, 10], [10, 20], 0.5, 'Linear'), [5, 15]);
+    assert.deepEqual(interpolateValue([0], [10, 20], 0.5, 'Linear'), [0]);
+  });
+
+  it('interpolates the fields of objects and takes the missing ones from the end value', () => {
+    assert.deepEqual(interpolateValue({ X: 0, Y: 0 }, { X: 10, Y: 20, Z: 30 }, 0.5, 'Linear'), { X: 5, Y: 10, Z: 30 });
+  });
+
+  it('jumps for values that cannot be interpolated', () => {
+    assert.equal(interpolateValue('a', 'b', 0.5, 'Linear'), 'a');
+    assert.equal(interpolateValue('a', 'b', 1, 'Linear'), 'b');
+    assert.equal(interpolateValue(true, 1, 0.5, 'Linear'), true);
+  });
+});
@@ -0,0 +1,72 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { normalizeFunctionPath, normalizeNodePath, normalizePropertyPath, toNodeTreeKey } from '../src/lib/realityPaths.js';
+
+describe('normalizeNodePath', () => {
+  it('adds a single leading slash and removes the trailing slashes', () => {
+    assert.equal(normalizeNodePath('Cyclorama'), '/Cyclorama');
+    assert.equal(normalizeNodePath('/Cyclorama'), '/Cyclorama');
+    assert.equal(normalizeNodePath('//Group//Cyclorama/ '), '/Group/Cyclorama');
+  });
+
+  it('rejects empty paths', () => {
+    for (const nodePath of ['', '/', ' // ', undefined, 42]) {
+      assert.throws(() => normalizeNodePath(nodePath), /nodePath must be a non-empty string/);
+    }
+  });
+});
+
+describe('normalizeFunctionPath', () => {
+  it('prefixes a function name with the node path', () => {
+    assert.equal(normalizeFunctionPath('/Cyclorama', 'AddProjection'), '/Cyclorama/AddProjection');
+  });
+
+  it('keeps a full function path with or without the leading slash', () => {
+    assert.equal(normalizeFunctionPath('/Cyclorama', 'Cyclorama/AddProjection'), '/Cyclorama/AddProjection');
+    assert.equal(normalizeFunctionPath('Cyclorama', '/Cyclorama/AddProjection/'), '/Cyclorama/AddProjection');
+  });
+
+  it('does not mistake a node with the same prefix for the node', () => {
+    assert.equal(normalizeFunctionPath('/Cyc', 'Cyclorama/AddProjection'), '/Cyc/Cyclorama/AddProjection');
+  });
+
+  it('rejects empty paths', () => {
+    assert.throws(() => normalizeFunctionPath('/Cyclorama', '/'), /functionPath must be a non-empty string/);
+    assert.throws(() => normalizeFunctionPath('/Cyclorama'), /functionPath must be a non-empty string/);
+  });
+});
+
+describe('normalizePropertyPath', () => {
+  it('removes the leading and trailing slashes', () => {
+    assert.equal(normalizePropertyPath('X'), 'X');
+    assert.equal(normalizePropertyPath('/Transform/Location/'), 'Transform/Location');
+  });
+
+  it('rejects empty paths', () => {
+    assert.throws(() => normalizePropertyPath(' '), /propertyPath must be a non-empty string/);
+    assert.throws(() => normalizePropertyPath(null), /propertyPath must be a non-empty string/);
+  });
+});
+
+describe('toNodeTreeKey', () => {
+  it('returns the path without the leading slash', () => {
+    assert.equal(toNodeTreeKey('/Cyclorama'), 'Cyclorama');
+    assert.equal(toNodeTreeKey('/Cyclorama/AddProjection'), 'Cyclorama/AddProjection');
+  });
+});
@@ -0,0 +1,126 @@
+// Copyright (c) 2019-2021 Zero Density Inc.
+//
+// This file is part of realityhub-api.
+//
+// realityhub-api is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License version 2, as published by
+// the Free Software Foundation.
+//
+// realityhub-api is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with realityhub-api. If not, see <https://www.gnu.org/licenses/>.
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import validateSchema, { checkSchema } from '../src/lib/validateSchema.js';
+
+const messages = (errors) => errors.map(({ path, message }) => `${path} ${message}`);
+
+describe('validateSchema', () => {
+  it('accepts any value for true and undefined schemas, none for false', () => {
+    assert.deepEqual(validateSchema(1, true), []);
+    assert.deepEqual(validateSchema(1, undefined), []);
+    assert.deepEqual(validateSchema(1, false, '/a'), [{ path: '/a', message: 'is not allowed' }]);
+  });
+
+  it('checks types', () => {
+    assert.deepEqual(validateSchema(1, { type: 'integer' }), []);
+    assert.deepEqual(messages(validateSchema(1.5, { type: 'integer' })), [' must be integer']);
+    assert.deepEqual(messages(validateSchema(null, { type: ['string', 'number'] })), [' must be string or number']);
+    assert.deepEqual(messages(validateSchema([], { type: 'object' })), [' must be object']);
+  });
+
+  it('compares enum and const values deeply', () => {
+    const schema = { enum: [{ a: 1, b: 2 }] };
+
+    assert.deepEqual(validateSchema({ b: 2, a: 1 }, schema), []);
+    assert.equal(validateSchema({ a: 1 }, schema).length, 1);
+    assert.deepEqual(validateSchema([1, 2], { const: [1, 2] }), []);
+    assert.deepEqual(messages(validateSchema([2, 1], { const: [1, 2] })), [' must be [1,2]']);
+  });
+
+  it('checks numbers', () => {
+    assert.deepEqual(messages(validateSchema(0, { minimum: 1, exclusiveMaximum: 0 })), [' must be >= 1', ' must be < 0']);
+    assert.deepEqual(validateSchema(0.3, { multipleOf: 0.1 }), []);
+    assert.deepEqual(messages(validateSchema(0.35, { multipleOf: 0.1 })), [' must be a multiple of 0.1']);
+  });
+
+  it('checks strings', () => {
+    assert.deepEqual(validateSchema('aa', { pattern: '^a+$', minLength: 2 }), []);
+    assert.deepEqual(messages(validateSchema('b', { pattern: '^a+$', minLength: 2 })), [
+      ' must not have fewer than 2 characters',
+      ' must match pattern "^a+$"',
+    ]);
+  });
+
+  it('checks arrays and reports the paths of their items', () => {
+    const schema = { type: 'array', items: { type: 'number' }, maxItems: 2, uniqueItems: true };
+
+    assert.deepEqual(validateSchema([1, 2], schema), []);
+    assert.deepEqual(messages(validateSchema([1, 'x', 1], schema, '/list')), [
+      '/list must not have more than 2 items',
+      '/list must not have duplicate items',
+      '/list/1 must be number',
+    ]);
+  });
+
+  it('checks objects and reports the paths of their properties', () => {
+    const schema = {
+      type: 'object',
+      properties: { a: { type: 'number' } },
+      required: ['a'],
+      dependentRequired: { b: ['c'] },
+      additionalProperties: false,
+    };
+
+    assert.deepEqual(validateSchema({ a: 1 }, schema), []);
+    assert.deepEqual(messages(validateSchema({ b: 1 }, schema)).sort(), [
+      ' must have property "c" when property "b" is present',
+      ' must have required property "a"',
+      '/b is not an allowed property',
+    ]);
+    assert.deepEqual(messages(validateSchema({ a: 'x' }, schema)), ['/a must be number']);
+  });
+
+  it('combines schemas', () => {
+    assert.deepEqual(validateSchema(1, { anyOf: [{ type: 'string' }, { type: 'number' }] }), []);
+    assert.deepEqual(messages(validateSchema(true, { anyOf: [{ type: 'string' }, { type: 'number' }] })), [
+      ' must match a schema in anyOf',
+    ]);
+    assert.deepEqual(messages(validateSchema(1, { oneOf: [{ type: 'number' }, { minimum: 0 }] })), [
+      ' must match exactly one schema in oneOf (matches 2)',
+    ]);
+    assert.deepEqual(messages(validateSchema(1, { not: { type: 'number' } })), [' must not match the schema in not']);
+    assert.equal(validateSchema(5, { allOf: [{ minimum: 0 }, { maximum: 3 }] }).length, 1);
+  });
+});
+
+describe('checkSchema', () => {
+  it('accepts the supported keywords', () => {
+    assert.doesNotThrow(() =>
+      checkSchema({
+        type: 'object',
+        properties: { a: { type: 'array', items: { pattern: '^a' } } },
+        anyOf: [true, { required: ['a'] }],
+      })
+    );
+  });
+
+  it('rejects unsupported keywords with their path', () => {
+    assert.throws(() => checkSchema({ $ref: '#/x' }), /Schema keyword "\$ref" at # is not supported/);
+    assert.throws(
+      () => checkSchema({ properties: { a: { format: 'uri' } } }),
+      /Schema keyword "format" at #\/properties\/a is not supported/
+    );
+  });
+
+  it('rejects invalid patterns and malformed schemas', () => {
+    assert.throws(() => checkSchema({ pattern: '(' }), /Schema pattern at # is invalid/);
+    assert.throws(() => checkSchema({ anyOf: {} }), /Schema keyword "anyOf" at # must be an array of schemas/);
+    assert.throws(() => checkSchema([1]), /Schema at # must be an object or a boolean/);
+  });
+});